@@ -2,56 +2,375 @@
 
 export default {
   async fetch(request, env, ctx) {
-    // CORS設定
-    const corsHeaders = {
-      'Access-Control-Allow-Origin': env.ALLOWED_ORIGIN || '*',
-      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-      'Access-Control-Max-Age': '86400',
-    };
+    // リクエスト毎の構造化ログ（レスポンス返却時に1行出力し、メトリクスにも記録）
+    const requestLog = startRequestLog(request);
+    const response = await handleRequest(request, env, ctx, requestLog);
+    return await finishRequestLog(response, requestLog, env);
+  },
 
-    // プリフライトリクエストの処理
-    if (request.method === 'OPTIONS') {
-      return new Response(null, {
-        status: 200,
-        headers: corsHeaders,
-      });
-    }
+  // 非同期ジョブの実行（JOB_QUEUE のコンシューマー）
+  async queue(batch, env, ctx) {
+    await handleJobBatch(batch, env, ctx);
+  },
 
-    try {
-      // リクエストのバリデーション
-      const url = new URL(request.url);
-      const path = url.pathname;
+  // 定期実行（Cron Triggers、cronの式毎に実行するタスクは SCHEDULED_TASKS で指定）
+  async scheduled(controller, env, ctx) {
+    await handleScheduled(controller, env, ctx);
+  },
+};
 
-      // APIエンドポイントのルーティング
-      if (path === '/api/external-service') {
-        return await handleExternalApiRequest(request, env, corsHeaders);
-      }
+// ルートテーブル以外のエンドポイント（methods はCORSのプリフライトで返すメソッド）
+const BUILTIN_ENDPOINTS = [
+  { path: '/api/token', methods: ['POST'], handler: handleTokenRequest },
+  { path: '/api/token/challenge', methods: ['GET'], handler: handleTokenChallengeRequest },
+  { path: '/api/token/refresh', methods: ['POST'], handler: handleTokenRefreshRequest },
+  { path: '/api/usage', methods: ['GET'], handler: handleUsageRequest },
+  { path: '/api/account/link', methods: ['POST'], handler: handleAccountLinkRequest },
+  { path: '/api/batch', methods: ['POST'], handler: handleBatchRequest },
+  { prefix: '/api/jobs/', methods: ['GET'], handler: handleJobStatusRequest },
+  { path: '/.well-known/jwks.json', methods: ['GET'], handler: handleJwksRequest },
+  { prefix: '/admin/', methods: ['GET', 'POST'], handler: handleAdminRequest },
+];
 
-      if (path === '/api/token') {
-        return await handleTokenRequest(request, env, corsHeaders);
-      }
+function matchBuiltinEndpoint(path) {
+  return BUILTIN_ENDPOINTS.find(endpoint =>
+    endpoint.path ? endpoint.path === path : path.startsWith(endpoint.prefix)
+  ) || null;
+}
 
-      return new Response('Not Found', {
-        status: 404,
-        headers: corsHeaders
-      });
+async function handleRequest(request, env, ctx, requestLog) {
+  let corsHeaders = {};
 
-    } catch (error) {
-      console.error('Worker Error:', error);
+  try {
+    // リクエストのバリデーション
+    const url = new URL(request.url);
+    const path = url.pathname;
+
+    // 組み込みのエンドポイント → ルートテーブルに定義された外部APIの順に照合
+    const endpoint = matchBuiltinEndpoint(path);
+    const route = endpoint ? null : matchRoute(await loadRouteTable(env), path);
+
+    // CORS設定（ルートの options.cors で上書き可能）
+    const corsPolicy = buildCorsPolicy(
+      route ? route.options.cors : null,
+      route ? route.methods : (endpoint ? endpoint.methods : ['GET', 'POST']),
+      env
+    );
+    const origin = request.headers.get('Origin');
+
+    // 許可されていないオリジンからのリクエストは拒否
+    if (origin && !isOriginAllowed(origin, corsPolicy.origins)) {
       return new Response(
-        JSON.stringify({ error: 'Internal Server Error' }),
+        JSON.stringify({ error: 'Origin not allowed' }),
         {
-          status: 500,
+          status: 403,
           headers: {
             'Content-Type': 'application/json',
-            ...corsHeaders,
+            'Vary': 'Origin',
           },
         }
       );
     }
-  },
-};
+
+    corsHeaders = buildCorsHeaders(origin, corsPolicy);
+
+    // プリフライトリクエストの処理（存在しないパスは404）
+    if (request.method === 'OPTIONS') {
+      if (!endpoint && !route) {
+        return new Response('Not Found', {
+          status: 404,
+          headers: corsHeaders
+        });
+      }
+
+      return new Response(null, {
+        status: 204,
+        headers: {
+          ...corsHeaders,
+          ...buildPreflightHeaders(corsPolicy),
+        },
+      });
+    }
+
+    // メンテナンスモード中は管理API以外を停止（routes指定時は該当ルートのみ）
+    if (!endpoint || endpoint.handler !== handleAdminRequest) {
+      const maintenance = await getMaintenanceState(env);
+      if (maintenance && (!maintenance.routes || (route && maintenance.routes.includes(route.name)))) {
+        requestLog.errorClass = 'maintenance';
+        const headers = {
+          'Content-Type': 'application/json',
+          'Cache-Control': 'no-store',
+          ...corsHeaders,
+        };
+        if (maintenance.retryAfter) {
+          headers['Retry-After'] = maintenance.retryAfter.toString();
+        }
+
+        return new Response(
+          JSON.stringify({
+            error: 'Service is under maintenance',
+            code: 'maintenance',
+            ...(maintenance.message ? { message: maintenance.message } : {}),
+            ...(maintenance.retryAfter ? { retryAfter: maintenance.retryAfter } : {})
+          }),
+          { status: 503, headers }
+        );
+      }
+    }
+
+    // APIエンドポイントのルーティング
+    if (endpoint) {
+      return await endpoint.handler(request, env, corsHeaders, ctx, requestLog);
+    }
+
+    // ルートテーブルに定義された外部APIへのプロキシ
+    if (route) {
+      requestLog.route = route.name;
+      return await handleExternalApiRequest(request, env, ctx, route, requestLog, corsHeaders);
+    }
+
+    return new Response('Not Found', {
+      status: 404,
+      headers: corsHeaders
+    });
+
+  } catch (error) {
+    requestLog.errorClass = error.name || 'Error';
+    requestLog.errorMessage = error.message;
+    return new Response(
+      JSON.stringify({ error: 'Internal Server Error' }),
+      {
+        status: 500,
+        headers: {
+          'Content-Type': 'application/json',
+          ...corsHeaders,
+        },
+      }
+    );
+  }
+}
+
+// CORSの既定値
+const DEFAULT_CORS_ALLOW_HEADERS = ['Content-Type', 'Authorization', 'DPoP', 'Cache-Control', 'X-Request-Id', 'X-Signature', 'X-Signature-Timestamp', 'X-Signature-Nonce'];
+const DEFAULT_CORS_EXPOSE_HEADERS = ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After', 'X-Cache', 'X-Request-Id'];
+const DEFAULT_CORS_MAX_AGE = 86400;
+
+// 許可するオリジンの一覧（ALLOWED_ORIGINS はJSON配列またはカンマ区切り、未設定時は ALLOWED_ORIGIN の単一指定）
+function getAllowedOrigins(env) {
+  if (env.ALLOWED_ORIGINS) {
+    const origins = typeof env.ALLOWED_ORIGINS === 'string'
+      ? (env.ALLOWED_ORIGINS.trim().startsWith('[') ? JSON.parse(env.ALLOWED_ORIGINS) : env.ALLOWED_ORIGINS.split(','))
+      : env.ALLOWED_ORIGINS;
+    return normalizeOrigins(origins);
+  }
+  return normalizeOrigins([env.ALLOWED_ORIGIN || '*']);
+}
+
+function normalizeOrigins(origins) {
+  return origins
+    .map(origin => origin.trim().toLowerCase().replace(/\/$/, ''))
+    .filter(Boolean);
+}
+
+// エンドポイント毎のCORSポリシー（config はルートの options.cors）
+function buildCorsPolicy(config, methods, env) {
+  const cors = config || {};
+
+  return {
+    origins: cors.origins ? normalizeOrigins(cors.origins) : getAllowedOrigins(env),
+    methods: [...new Set([...(cors.methods || methods).map(method => method.toUpperCase()), 'OPTIONS'])],
+    allowHeaders: cors.headers || DEFAULT_CORS_ALLOW_HEADERS,
+    exposeHeaders: cors.exposeHeaders || DEFAULT_CORS_EXPOSE_HEADERS,
+    credentials: Boolean(cors.credentials),
+    maxAge: cors.maxAge ?? DEFAULT_CORS_MAX_AGE,
+  };
+}
+
+// オリジンの照合（"*" は全許可、"https://*.example.com" はサブドメインのみに一致し親ドメイン自体には一致しない）
+function isOriginAllowed(origin, patterns) {
+  const normalized = origin.toLowerCase();
+
+  return patterns.some(pattern => {
+    if (pattern === '*') {
+      return true;
+    }
+
+    const wildcard = pattern.match(/^([a-z][a-z0-9+.-]*:\/\/)\*\.(.+)$/);
+    if (wildcard) {
+      const [, scheme, suffix] = wildcard;
+      if (!normalized.startsWith(scheme) || !normalized.endsWith(`.${suffix}`)) {
+        return false;
+      }
+      const subdomain = normalized.slice(scheme.length, normalized.length - suffix.length - 1);
+      return /^[a-z0-9-]+(\.[a-z0-9-]+)*$/.test(subdomain);
+    }
+
+    return normalized === pattern;
+  });
+}
+
+// 通常のレスポンスに付与するCORSヘッダー（個別に許可したオリジンはそのまま返す）
+// "*" だけで許可されたオリジンには "*" を返し、任意のサイトから資格情報付きで呼べないよう credentials も付けない
+function buildCorsHeaders(origin, policy) {
+  const headers = {
+    'Vary': 'Origin',
+  };
+
+  if (origin) {
+    const explicit = isOriginAllowed(origin, policy.origins.filter(pattern => pattern !== '*'));
+    headers['Access-Control-Allow-Origin'] = explicit ? origin : '*';
+    headers['Access-Control-Expose-Headers'] = policy.exposeHeaders.join(', ');
+    if (explicit && policy.credentials) {
+      headers['Access-Control-Allow-Credentials'] = 'true';
+    }
+  }
+
+  return headers;
+}
+
+function buildPreflightHeaders(policy) {
+  return {
+    'Access-Control-Allow-Methods': policy.methods.join(', '),
+    'Access-Control-Allow-Headers': policy.allowHeaders.join(', '),
+    'Access-Control-Max-Age': String(policy.maxAge),
+  };
+}
+
+// 構造化ログの開始（X-Request-Id は妥当な形式であればクライアントの値を引き継ぐ）
+function startRequestLog(request) {
+  const url = new URL(request.url);
+  const incomingId = request.headers.get('X-Request-Id');
+
+  return {
+    requestId: incomingId && /^[A-Za-z0-9._:-]{8,128}$/.test(incomingId) ? incomingId : crypto.randomUUID(),
+    startedAt: Date.now(),
+    method: request.method,
+    path: url.pathname,
+    route: null,
+    userId: null,
+    upstreamMs: null,
+    upstreamStatus: null,
+    cache: null,
+    rateLimit: null,
+    cost: null,
+    streamed: false,
+    jobId: null,
+    errorClass: null,
+    errorMessage: null,
+  };
+}
+
+// 構造化ログの出力とメトリクスの記録、レスポンスへの X-Request-Id の付与
+async function finishRequestLog(response, requestLog, env) {
+  const { startedAt, userId, ...fields } = requestLog;
+  const entry = {
+    level: response.status >= 500 ? 'error' : (response.status >= 400 ? 'warn' : 'info'),
+    ...fields,
+    userHash: userId ? await hashUserId(userId) : null,
+    status: response.status,
+    durationMs: Date.now() - startedAt,
+  };
+
+  writeLogLine(entry);
+
+  const sink = resolveMetricsSink(env);
+  if (sink) {
+    try {
+      sink.record(entry);
+    } catch (error) {
+      logError('metrics_sink_failed', error);
+    }
+  }
+
+  // WebSocketの接続（101）は作り直せないためそのまま返す（X-Request-Idは生成時に付与済み）
+  if (response.status === 101) {
+    return response;
+  }
+
+  const headers = new Headers(response.headers);
+  headers.set('X-Request-Id', requestLog.requestId);
+  return new Response(response.body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers,
+  });
+}
+
+// JSON形式のログ1行の出力（リクエスト・監査・定期実行で共通、level が error の場合は console.error）
+function writeLogLine(entry) {
+  if (entry.level === 'error') {
+    console.error(JSON.stringify(entry));
+  } else {
+    console.log(JSON.stringify(entry));
+  }
+}
+
+// リクエストのログに載らない失敗の記録（event は失敗した処理の名前）
+function logError(event, error, fields = {}) {
+  writeLogLine({ level: 'error', event, ...fields, message: error instanceof Error ? error.message : String(error) });
+}
+
+// ログに載せるユーザー識別子（userIdのSHA-256の先頭16桁。管理者は既知のuserIdから同じ値を求めて照合できる）
+async function hashUserId(userId) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(userId));
+  return Array.from(new Uint8Array(digest).slice(0, 8))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+// メトリクスの送信先（METRICS がAnalytics Engineのバインディングならそのデータセット、
+// record(entry) を持つオブジェクトならそれ自体を使用。未設定時は記録しない）
+function resolveMetricsSink(env) {
+  if (!env.METRICS) {
+    return null;
+  }
+  if (typeof env.METRICS.writeDataPoint === 'function') {
+    return new AnalyticsEngineMetricsSink(env.METRICS);
+  }
+  return env.METRICS;
+}
+
+// Analytics Engine への書き込み（indexはルート名、blobs・doublesの並びはreadme参照）
+class AnalyticsEngineMetricsSink {
+  constructor(dataset) {
+    this.dataset = dataset;
+  }
+
+  record(entry) {
+    this.dataset.writeDataPoint({
+      indexes: [entry.route || entry.path],
+      blobs: [
+        entry.route || entry.path,
+        entry.method,
+        entry.cache || '',
+        entry.rateLimit || '',
+        entry.errorClass || '',
+        entry.userHash || '',
+      ],
+      doubles: [
+        entry.status,
+        entry.durationMs,
+        entry.upstreamMs ?? -1,
+        entry.cost ?? 0,
+      ],
+    });
+  }
+}
+
+// テスト用のメモリ上のメトリクス（env.METRICS に渡すと記録内容を entries で確認できる）
+export class MemoryMetricsSink {
+  constructor() {
+    this.entries = [];
+  }
+
+  record(entry) {
+    this.entries.push(entry);
+  }
+
+  clear() {
+    this.entries = [];
+  }
+}
 
 // 匿名トークン発行の処理
 async function handleTokenRequest(request, env, corsHeaders) {
@@ -68,25 +387,101 @@ async function handleTokenRequest(request, env, corsHeaders) {
     );
   }
 
+  // 支出予算の消費が進んでいる間は匿名トークンの新規発行を停止
+  const budgetState = await getBudgetState(null, env);
+  if (budgetState.refuseAnonymousTokens) {
+    return new Response(
+      JSON.stringify({
+        error: 'Token issuance is temporarily suspended',
+        code: 'budget_exceeded',
+        retryAfter: budgetState.retryAfter
+      }),
+      {
+        status: 503,
+        headers: {
+          'Content-Type': 'application/json',
+          'Retry-After': budgetState.retryAfter.toString(),
+          ...corsHeaders,
+        },
+      }
+    );
+  }
+
+  // DPoPの証明があれば発行するトークンを端末の鍵に束縛
+  const binding = await resolveTokenBinding(request, env);
+  if (binding.error) {
+    return new Response(
+      JSON.stringify({ error: binding.error, code: binding.code }),
+      {
+        status: binding.status || 400,
+        headers: {
+          'Content-Type': 'application/json',
+          ...corsHeaders,
+        },
+      }
+    );
+  }
+
+  let requestBody = {};
+  try {
+    requestBody = await request.json();
+  } catch (error) {
+    // ボディなしのリクエストも受け付ける（チャレンジ無効時）
+  }
+
+  // 人間確認（HUMAN_VERIFIER設定時）とプルーフオブワーク（TOKEN_POW_DIFFICULTY設定時）
+  const verification = await verifyTokenIssuanceChallenge(requestBody, request, env);
+  if (!verification.success) {
+    return new Response(
+      JSON.stringify({ error: verification.error }),
+      {
+        status: 403,
+        headers: {
+          'Content-Type': 'application/json',
+          ...corsHeaders,
+        },
+      }
+    );
+  }
+
+  // 発行元IP・ネットワーク単位の発行数制限（確認に成功したリクエストのみ数え、不正な送信で共有ネットワークの枠を使い切らせない）
+  const issuanceResult = await checkTokenIssuanceLimit(request, env);
+  if (!issuanceResult.allowed) {
+    return new Response(
+      JSON.stringify({
+        error: 'Too many tokens issued',
+        retryAfter: issuanceResult.retryAfter
+      }),
+      {
+        status: 429,
+        headers: {
+          'Content-Type': 'application/json',
+          'Retry-After': issuanceResult.retryAfter.toString(),
+          ...corsHeaders,
+        },
+      }
+    );
+  }
+
   try {
     // 匿名ユーザーIDの生成
     const anonymousUserId = await generateAnonymousUserId();
 
-    // トークンの生成
-    const token = await generateAnonymousToken(anonymousUserId, env);
+    // 発行時のプラン（トークンのクレームとして埋め込む）
+    const planName = resolvePlanName(env.DEFAULT_PLAN, env);
+
+    // アクセストークンとリフレッシュトークンの生成（新しいトークンファミリー）
+    const tokens = await issueTokenPair(anonymousUserId, planName, 'anonymous', generateTokenId(), env, binding.jkt);
 
     // 使用統計の初期化
-    await initializeUserStats(anonymousUserId, env);
+    await initializeUserStats(anonymousUserId, planName, env);
 
     return new Response(
       JSON.stringify({
-        token,
+        ...tokens,
         userId: anonymousUserId,
-        expiresAt: Date.now() + (30 * 24 * 60 * 60 * 1000), // 30日後
-        rateLimit: {
-          maxRequests: 100,
-          windowMs: 60 * 60 * 1000 // 1時間
-        }
+        tokenType: 'anonymous',
+        rateLimit: buildRateLimitInfo(planName, env)
       }),
       {
         status: 200,
@@ -98,7 +493,7 @@ async function handleTokenRequest(request, env, corsHeaders) {
     );
 
   } catch (error) {
-    console.error('Token generation error:', error);
+    logError('token_generation_failed', error);
     return new Response(
       JSON.stringify({ error: 'Token generation failed' }),
       {
@@ -111,8 +506,45 @@ async function handleTokenRequest(request, env, corsHeaders) {
     );
   }
 }
-async function handleExternalApiRequest(request, env, corsHeaders) {
-  // POSTリクエストのみ受け付け
+
+// トークン発行用チャレンジの処理（プルーフオブワークの課題と人間確認の要否を返す）
+async function handleTokenChallengeRequest(request, env, corsHeaders) {
+  if (request.method !== 'GET') {
+    return new Response(
+      JSON.stringify({ error: 'Method not allowed' }),
+      {
+        status: 405,
+        headers: {
+          'Content-Type': 'application/json',
+          ...corsHeaders,
+        },
+      }
+    );
+  }
+
+  const difficulty = getProofOfWorkDifficulty(env);
+  const challenge = difficulty > 0 ? await generateProofOfWorkChallenge(difficulty, env) : null;
+
+  return new Response(
+    JSON.stringify({
+      challenge,
+      difficulty,
+      expiresAt: challenge ? Date.now() + POW_CHALLENGE_TTL_SECONDS * 1000 : null,
+      humanVerification: env.HUMAN_VERIFIER || null
+    }),
+    {
+      status: 200,
+      headers: {
+        'Content-Type': 'application/json',
+        'Cache-Control': 'no-store',
+        ...corsHeaders,
+      },
+    }
+  );
+}
+
+// リフレッシュトークンによるアクセストークン再発行の処理（リフレッシュトークンもローテーション）
+async function handleTokenRefreshRequest(request, env, corsHeaders) {
   if (request.method !== 'POST') {
     return new Response(
       JSON.stringify({ error: 'Method not allowed' }),
@@ -126,13 +558,18 @@ async function handleExternalApiRequest(request, env, corsHeaders) {
     );
   }
 
-  // ユーザー認証の確認
-  const authResult = await authenticateUser(request, env);
-  if (!authResult.success) {
+  let refreshToken;
+  try {
+    ({ refreshToken } = await request.json());
+  } catch (error) {
+    refreshToken = null;
+  }
+
+  if (!refreshToken) {
     return new Response(
-      JSON.stringify({ error: authResult.error }),
+      JSON.stringify({ error: 'Missing refresh token' }),
       {
-        status: 401,
+        status: 400,
         headers: {
           'Content-Type': 'application/json',
           ...corsHeaders,
@@ -141,34 +578,26 @@ async function handleExternalApiRequest(request, env, corsHeaders) {
     );
   }
 
-  // レート制限の確認
-  const rateLimitResult = await checkRateLimit(authResult.userId, env);
-  if (!rateLimitResult.allowed) {
+  const binding = await resolveTokenBinding(request, env);
+  if (binding.error) {
     return new Response(
-      JSON.stringify({
-        error: 'Rate limit exceeded',
-        retryAfter: rateLimitResult.retryAfter
-      }),
+      JSON.stringify({ error: binding.error, code: binding.code }),
       {
-        status: 429,
+        status: binding.status || 400,
         headers: {
           'Content-Type': 'application/json',
-          'Retry-After': rateLimitResult.retryAfter.toString(),
           ...corsHeaders,
         },
       }
     );
   }
 
-  // リクエストボディの取得
-  let requestBody;
-  try {
-    requestBody = await request.json();
-  } catch (error) {
+  const result = await rotateRefreshToken(refreshToken, env, binding.jkt);
+  if (!result.success) {
     return new Response(
-      JSON.stringify({ error: 'Invalid JSON in request body' }),
+      JSON.stringify({ error: result.error }),
       {
-        status: 400,
+        status: result.status || 401,
         headers: {
           'Content-Type': 'application/json',
           ...corsHeaders,
@@ -177,40 +606,51 @@ async function handleExternalApiRequest(request, env, corsHeaders) {
     );
   }
 
-  // 外部APIの呼び出し
-  try {
-    const externalResponse = await fetch(env.EXTERNAL_API_URL, {
-      method: 'POST',
+  return new Response(
+    JSON.stringify({
+      ...result.tokens,
+      userId: result.userId,
+      tokenType: result.tokenType,
+      rateLimit: buildRateLimitInfo(result.plan, env)
+    }),
+    {
+      status: 200,
       headers: {
         'Content-Type': 'application/json',
-        'Authorization': `Bearer ${env.EXTERNAL_API_KEY}`,
-        'User-Agent': 'CloudflareWorkers/1.0',
+        ...corsHeaders,
       },
-      body: JSON.stringify(requestBody),
-    });
-
-    const responseData = await externalResponse.json();
-
-    // レスポンスの加工（必要に応じて）
-    const processedData = await processApiResponse(responseData, authResult.userId);
+    }
+  );
+}
 
+// アカウント連携（OIDCのIDトークンで現在の匿名IDをアカウントに紐付け、統計を引き継いでuserトークンを発行）
+async function handleAccountLinkRequest(request, env, corsHeaders) {
+  if (request.method !== 'POST') {
     return new Response(
-      JSON.stringify(processedData),
+      JSON.stringify({ error: 'Method not allowed' }),
       {
-        status: externalResponse.status,
+        status: 405,
         headers: {
           'Content-Type': 'application/json',
           ...corsHeaders,
         },
       }
     );
+  }
 
-  } catch (error) {
-    console.error('External API Error:', error);
+  if (getOidcIssuers(env).length === 0) {
+    return new Response('Not Found', {
+      status: 404,
+      headers: corsHeaders
+    });
+  }
+
+  const authResult = await authenticateUser(request, env);
+  if (!authResult.success) {
     return new Response(
-      JSON.stringify({ error: 'External service unavailable' }),
+      JSON.stringify({ error: authResult.error }),
       {
-        status: 503,
+        status: authResult.status || 401,
         headers: {
           'Content-Type': 'application/json',
           ...corsHeaders,
@@ -218,257 +658,5902 @@ async function handleExternalApiRequest(request, env, corsHeaders) {
       }
     );
   }
-}
 
-// ユーザー認証の確認（匿名トークン用）
-async function authenticateUser(request, env) {
-  const authHeader = request.headers.get('Authorization');
+  let idToken;
+  try {
+    ({ idToken } = await request.json());
+  } catch (error) {
+    idToken = null;
+  }
 
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+  if (!idToken) {
+    return new Response(
+      JSON.stringify({ error: 'Missing ID token' }),
+      {
+        status: 400,
+        headers: {
+          'Content-Type': 'application/json',
+          ...corsHeaders,
+        },
+      }
+    );
+  }
+
+  let identity;
+  try {
+    identity = await verifyIdToken(idToken, env);
+  } catch (error) {
+    logError('id_token_verification_failed', error);
+    return new Response(
+      JSON.stringify({ error: 'Invalid ID token' }),
+      {
+        status: 401,
+        headers: {
+          'Content-Type': 'application/json',
+          ...corsHeaders,
+        },
+      }
+    );
+  }
+
+  const accountUserId = await getAccountUserId(identity.issuer, identity.subject);
+
+  // 別のアカウントに連携済みのIDを統合しない（切り替えはクライアントのデータを消去してから）
+  if (!authResult.isAnonymous && authResult.userId !== accountUserId) {
+    return new Response(
+      JSON.stringify({ error: 'Already linked to another account' }),
+      {
+        status: 409,
+        headers: {
+          'Content-Type': 'application/json',
+          ...corsHeaders,
+        },
+      }
+    );
+  }
+
+  const controls = await getUserControls(accountUserId, env);
+  if (controls.blocked) {
+    return new Response(
+      JSON.stringify({ error: 'User is blocked' }),
+      {
+        status: 403,
+        headers: {
+          'Content-Type': 'application/json',
+          ...corsHeaders,
+        },
+      }
+    );
+  }
+
+  const planName = resolvePlanName(identity.plan || env.ACCOUNT_PLAN || env.DEFAULT_PLAN, env);
+
+  if (authResult.isAnonymous) {
+    await linkAnonymousUser(authResult.userId, accountUserId, identity, planName, env);
+
+    // 連携前の匿名トークン（リフレッシュトークンを含む）は以後使えないようにする
+    if (authResult.familyId) {
+      await revokeTokenFamily(authResult.familyId, env);
+    }
+  }
+
+  // 連携前のトークンがDPoPで束縛されていれば、新しいトークンも同じ鍵に束縛
+  const tokens = await issueTokenPair(accountUserId, planName, 'user', generateTokenId(), env, authResult.jkt);
+
+  return new Response(
+    JSON.stringify({
+      ...tokens,
+      userId: accountUserId,
+      tokenType: 'user',
+      linkedFrom: authResult.isAnonymous ? authResult.userId : null,
+      account: { issuer: identity.issuer, subject: identity.subject },
+      rateLimit: buildRateLimitInfo(planName, env)
+    }),
+    {
+      status: 200,
+      headers: {
+        'Content-Type': 'application/json',
+        'Cache-Control': 'no-store',
+        ...corsHeaders,
+      },
+    }
+  );
+}
+
+// 匿名IDのアカウントへの紐付けと統計の統合（同じ匿名IDの2回目以降は何もしない）
+async function linkAnonymousUser(anonymousUserId, accountUserId, identity, planName, env) {
+  const linkKey = `account_link:${anonymousUserId}`;
+  if (await env.USER_STATS_KV.get(linkKey)) {
+    return;
+  }
+
+  const [anonymousStats, accountStats, account] = await Promise.all([
+    env.USER_STATS_KV.get(`user_stats:${anonymousUserId}`, 'json'),
+    env.USER_STATS_KV.get(`user_stats:${accountUserId}`, 'json'),
+    env.USER_STATS_KV.get(`account:${accountUserId}`, 'json'),
+  ]);
+
+  const now = Date.now();
+  const merged = mergeUserStats(accountStats || {
+    createdAt: now,
+    totalRequests: 0,
+    lastRequestAt: null,
+    dailyRequests: {}
+  }, anonymousStats);
+  merged.plan = planName;
+
+  await putUserStats(accountUserId, merged, env);
+  await env.USER_STATS_KV.put(`account:${accountUserId}`, JSON.stringify({
+    issuer: identity.issuer,
+    subject: identity.subject,
+    createdAt: account ? account.createdAt : now,
+    linkedUserIds: [...(account ? account.linkedUserIds : []), anonymousUserId].slice(-100),
+  }));
+  await env.USER_STATS_KV.put(linkKey, accountUserId);
+
+  // 統合済みの匿名IDの統計は削除（エクスポートでの二重計上を防ぐ）
+  if (anonymousStats) {
+    await env.USER_STATS_KV.delete(`user_stats:${anonymousUserId}`);
+  }
+}
+
+// 統計の統合（件数は合算、日時は最も古い作成日時と最も新しいリクエスト日時）
+function mergeUserStats(target, source) {
+  if (!source) {
+    return target;
+  }
+
+  const dailyRequests = { ...target.dailyRequests };
+  for (const [date, count] of Object.entries(source.dailyRequests || {})) {
+    dailyRequests[date] = (dailyRequests[date] || 0) + count;
+  }
+
+  const routeRequests = { ...target.routeRequests };
+  for (const [date, counts] of Object.entries(source.routeRequests || {})) {
+    const merged = { ...routeRequests[date] };
+    for (const [routeName, count] of Object.entries(counts)) {
+      merged[routeName] = (merged[routeName] || 0) + count;
+    }
+    routeRequests[date] = merged;
+  }
+
+  return {
+    ...target,
+    createdAt: Math.min(target.createdAt, source.createdAt || target.createdAt),
+    totalRequests: (target.totalRequests || 0) + (source.totalRequests || 0),
+    lastRequestAt: Math.max(target.lastRequestAt || 0, source.lastRequestAt || 0) || null,
+    dailyRequests,
+    routeRequests,
+    streamedBytes: (target.streamedBytes || 0) + (source.streamedBytes || 0),
+  };
+}
+
+// アカウントのuserId（発行元とsubjectから決まる固定のID）
+async function getAccountUserId(issuer, subject) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${issuer}\n${subject}`));
+  const hash = Array.from(new Uint8Array(digest).slice(0, 16))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('');
+  return `user_${hash}`;
+}
+
+// トークン検証用の公開鍵（JWKS）の配布
+async function handleJwksRequest(request, env, corsHeaders) {
+  if (request.method !== 'GET') {
+    return new Response(
+      JSON.stringify({ error: 'Method not allowed' }),
+      {
+        status: 405,
+        headers: {
+          'Content-Type': 'application/json',
+          ...corsHeaders,
+        },
+      }
+    );
+  }
+
+  return new Response(
+    JSON.stringify(await getJwks(env)),
+    {
+      status: 200,
+      headers: {
+        'Content-Type': 'application/jwk-set+json',
+        'Cache-Control': 'public, max-age=300',
+        ...corsHeaders,
+      },
+    }
+  );
+}
+
+// 認証済みユーザーの利用状況と残りクォータの取得
+async function handleUsageRequest(request, env, corsHeaders) {
+  if (request.method !== 'GET') {
+    return new Response(
+      JSON.stringify({ error: 'Method not allowed' }),
+      {
+        status: 405,
+        headers: {
+          'Content-Type': 'application/json',
+          ...corsHeaders,
+        },
+      }
+    );
+  }
+
+  const authResult = await authenticateUser(request, env);
+  if (!authResult.success) {
+    return new Response(
+      JSON.stringify({ error: authResult.error }),
+      {
+        status: authResult.status || 401,
+        headers: {
+          'Content-Type': 'application/json',
+          ...corsHeaders,
+        },
+      }
+    );
+  }
+
+  const stats = await env.USER_STATS_KV.get(`user_stats:${authResult.userId}`, 'json');
+
+  // クォータを消費せずに現在の状態のみ取得
+  let windows = null;
+  try {
+    const limits = getQuotaLimits(authResult.plan, env, authResult.quotaOverrides);
+    const result = await enforceLimits(authResult.userId, limits, 0, env);
+    windows = result.windows;
+  } catch (error) {
+    logError('quota_lookup_failed', error);
+  }
+
+  return new Response(
+    JSON.stringify({
+      userId: authResult.userId,
+      plan: authResult.plan,
+      stats: stats || null,
+      quotas: windows
+    }),
+    {
+      status: 200,
+      headers: {
+        'Content-Type': 'application/json',
+        'Cache-Control': 'no-store',
+        ...buildRateLimitHeaders(windows),
+        ...corsHeaders,
+      },
+    }
+  );
+}
+
+// 管理API（ADMIN_API_KEY のBearer認証、認証後の操作はすべて監査ログに記録）
+// ADMIN_API_KEY 未設定時は管理API自体を無効にする。audit は監査ログに残すボディの項目
+const ADMIN_ROUTES = [
+  { method: 'GET', path: ['users'], action: 'users.list', handler: adminListUsers },
+  { method: 'GET', path: ['users', ':userId'], action: 'users.get', handler: adminGetUser },
+  { method: 'POST', path: ['users', ':userId', 'quota'], action: 'users.quota', handler: adminUpdateQuota, audit: ['reset', 'plan', 'quotas'] },
+  { method: 'POST', path: ['users', ':userId', 'revoke'], action: 'users.revoke', handler: adminRevokeUser },
+  { method: 'POST', path: ['users', ':userId', 'block'], action: 'users.block', handler: adminBlockUser, audit: ['reason'] },
+  { method: 'POST', path: ['users', ':userId', 'unblock'], action: 'users.unblock', handler: adminUnblockUser },
+  { method: 'GET', path: ['export'], action: 'usage.export', handler: adminExportUsage },
+  { method: 'GET', path: ['audit'], action: 'audit.list', handler: adminListAudit },
+  { method: 'GET', path: ['budget'], action: 'budget.get', handler: adminGetBudget },
+  { method: 'GET', path: ['config'], action: 'config.get', handler: adminGetConfig },
+  { method: 'GET', path: ['rollups'], action: 'rollups.list', handler: adminListRollups },
+  { method: 'GET', path: ['maintenance'], action: 'maintenance.get', handler: adminGetMaintenance },
+  { method: 'POST', path: ['maintenance'], action: 'maintenance.update', handler: adminUpdateMaintenance, audit: ['enabled', 'message', 'retryAfter', 'routes'] },
+  { method: 'POST', path: ['cache', 'purge'], action: 'cache.purge', handler: adminPurgeCache, audit: ['route', 'method'] },
+];
+
+const ADMIN_LIST_LIMIT = 100;
+const AUDIT_LOG_TTL_SECONDS = 90 * 24 * 60 * 60; // 90日
+const USAGE_CSV_COLUMNS = ['userId', 'plan', 'createdAt', 'totalRequests', 'lastRequestAt', 'streamedBytes'];
+
+async function handleAdminRequest(request, env, corsHeaders) {
+  if (!env.ADMIN_API_KEY) {
+    return new Response('Not Found', {
+      status: 404,
+      headers: corsHeaders
+    });
+  }
+
+  if (!(await authenticateAdmin(request, env))) {
+    writeLogLine({ level: 'error', event: 'admin_auth_failed', ip: request.headers.get('CF-Connecting-IP') });
+    return adminResponse({ error: 'Unauthorized' }, 401, corsHeaders);
+  }
+
+  const url = new URL(request.url);
+  const segments = url.pathname.split('/').filter(Boolean).slice(1);
+  const candidates = ADMIN_ROUTES
+    .map(route => ({ route, params: matchAdminPath(route.path, segments) }))
+    .filter(candidate => candidate.params);
+
+  if (candidates.length === 0) {
+    return adminResponse({ error: 'Not Found' }, 404, corsHeaders);
+  }
+
+  const matched = candidates.find(candidate => candidate.route.method === request.method);
+  if (!matched) {
+    return adminResponse({ error: 'Method not allowed' }, 405, corsHeaders, {
+      'Allow': candidates.map(candidate => candidate.route.method).join(', '),
+    });
+  }
+
+  let body = {};
+  if (request.method === 'POST') {
+    try {
+      body = await request.json();
+    } catch (error) {
+      // ボディなしの操作（失効・ブロック解除など）も受け付ける
+    }
+  }
+
+  let response;
+  try {
+    // null・配列・数値などのJSONはオブジェクトとして扱えないため拒否（監査ログには記録する）
+    response = body && typeof body === 'object' && !Array.isArray(body)
+      ? await matched.route.handler({ params: matched.params, query: url.searchParams, body, env }, corsHeaders)
+      : adminResponse({ error: 'Request body must be a JSON object' }, 400, corsHeaders);
+  } catch (error) {
+    logError('admin_api_error', error);
+    response = adminResponse({ error: 'Internal Server Error' }, 500, corsHeaders);
+  }
+
+  await writeAuditLog({
+    action: matched.route.action,
+    target: matched.params.userId || null,
+    params: request.method === 'POST' ? pickAuditParams(matched.route, body) : Object.fromEntries(url.searchParams),
+    status: response.status,
+  }, request, env);
+
+  return response;
+}
+
+// 監査ログに残す操作の内容（ルートの audit に挙げた項目のうち指定されたもののみ、ボディそのものは残さない）
+function pickAuditParams(route, body) {
+  const params = {};
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return params;
+  }
+  for (const key of route.audit || []) {
+    if (body[key] !== undefined) {
+      params[key] = body[key];
+    }
+  }
+  return params;
+}
+
+// 管理APIキーの確認（長さも含めて比較時間が変わらないようハッシュ同士を比較）
+async function authenticateAdmin(request, env) {
+  const authHeader = request.headers.get('Authorization') || '';
+  const provided = authHeader.startsWith('Bearer ') ? authHeader.substring(7) : '';
+
+  const encoder = new TextEncoder();
+  const [providedDigest, expectedDigest] = await Promise.all([
+    crypto.subtle.digest('SHA-256', encoder.encode(provided)),
+    crypto.subtle.digest('SHA-256', encoder.encode(env.ADMIN_API_KEY)),
+  ]);
+
+  const left = new Uint8Array(providedDigest);
+  const right = new Uint8Array(expectedDigest);
+  let diff = 0;
+  for (let i = 0; i < left.length; i++) {
+    diff |= left[i] ^ right[i];
+  }
+
+  return diff === 0;
+}
+
+// "/admin/" 以降のパスと定義の照合（":name" の部分をパラメータとして取り出す）
+function matchAdminPath(pattern, segments) {
+  if (pattern.length !== segments.length) {
+    return null;
+  }
+
+  const params = {};
+  for (let i = 0; i < pattern.length; i++) {
+    if (pattern[i].startsWith(':')) {
+      try {
+        params[pattern[i].substring(1)] = decodeURIComponent(segments[i]);
+      } catch (error) {
+        return null;
+      }
+    } else if (pattern[i] !== segments[i]) {
+      return null;
+    }
+  }
+
+  return params;
+}
+
+function adminResponse(body, status, corsHeaders, extraHeaders = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-store',
+      ...extraHeaders,
+      ...corsHeaders,
+    },
+  });
+}
+
+// ユーザー一覧（userIdの前方一致検索、plan・activeSince で絞り込み）
+// 絞り込みで減った分は続きのキーを読んで埋める（読み込むページ数には上限があり、その場合は limit 未満で cursor を返す）
+const ADMIN_LIST_MAX_PAGES = 10;
+
+async function adminListUsers({ query, env }, corsHeaders) {
+  const limit = Math.min(parseInt(query.get('limit'), 10) || ADMIN_LIST_LIMIT, 1000);
+  const plan = query.get('plan');
+  const activeSince = query.get('activeSince') ? Date.parse(query.get('activeSince')) : null;
+
+  const users = [];
+  let cursor = query.get('cursor') || undefined;
+  let complete = false;
+
+  for (let page = 0; page < ADMIN_LIST_MAX_PAGES && users.length < limit && !complete; page++) {
+    // 残りの件数だけ読むことで、ページの途中で打ち切らずに続きを cursor から再開できる
+    const result = await env.USER_STATS_KV.list({
+      prefix: `user_stats:${query.get('prefix') || ''}`,
+      cursor,
+      limit: limit - users.length,
+    });
+
+    users.push(...result.keys
+      .map(key => ({
+        userId: key.name.substring('user_stats:'.length),
+        plan: null,
+        totalRequests: null,
+        lastRequestAt: null,
+        ...key.metadata,
+      }))
+      .filter(user => !plan || user.plan === plan)
+      .filter(user => !activeSince || (user.lastRequestAt && user.lastRequestAt >= activeSince)));
+
+    complete = result.list_complete;
+    cursor = result.cursor;
+  }
+
+  return adminResponse({
+    users,
+    cursor: complete ? null : cursor,
+  }, 200, corsHeaders);
+}
+
+// ユーザーの統計・管理設定・現在のクォータ状態（消費せずに取得）
+async function adminGetUser({ params, env }, corsHeaders) {
+  const { userId } = params;
+  const [stats, controls, revokedAt] = await Promise.all([
+    env.USER_STATS_KV.get(`user_stats:${userId}`, 'json'),
+    getUserControls(userId, env),
+    env.TOKEN_KV.get(`revoked_user:${userId}`),
+  ]);
+
+  if (!stats) {
+    return adminResponse({ error: 'User not found' }, 404, corsHeaders);
+  }
+
+  const plan = resolvePlanName(controls.plan || stats.plan, env);
+  const { windows } = await enforceLimits(userId, getQuotaLimits(plan, env, controls.quotas), 0, env);
+
+  return adminResponse({
+    userId,
+    plan,
+    stats,
+    controls,
+    quotas: windows,
+    tokensRevokedAt: revokedAt ? parseInt(revokedAt, 10) : null,
+  }, 200, corsHeaders);
+}
+
+// クォータのリセット（reset）とプラン・クォータの上書き（plan, quotas。nullで上書きを解除）
+async function adminUpdateQuota({ params, body, env }, corsHeaders) {
+  const { userId } = params;
+  const { reset, plan, quotas } = body;
+
+  if (!reset && plan === undefined && quotas === undefined) {
+    return adminResponse({ error: 'Specify reset, plan or quotas' }, 400, corsHeaders);
+  }
+
+  if (plan != null && !getPlans(env)[plan]) {
+    return adminResponse({ error: `Unknown plan: ${plan}` }, 400, corsHeaders);
+  }
+
+  if (quotas != null) {
+    const valid = typeof quotas === 'object' && !Array.isArray(quotas) &&
+      Object.entries(quotas).every(([name, limit]) =>
+        QUOTA_WINDOWS[name] && (limit === null || (Number.isInteger(limit) && limit >= 0))
+      );
+    if (!valid) {
+      return adminResponse({
+        error: `quotas must map ${Object.keys(QUOTA_WINDOWS).join(', ')} to non-negative integers or null`
+      }, 400, corsHeaders);
+    }
+  }
+
+  if (!(await env.USER_STATS_KV.get(`user_stats:${userId}`))) {
+    return adminResponse({ error: 'User not found' }, 404, corsHeaders);
+  }
+
+  const changes = {};
+  if (plan !== undefined) {
+    changes.plan = plan;
+  }
+  if (quotas !== undefined) {
+    changes.quotas = quotas;
+  }
+
+  const controls = Object.keys(changes).length > 0
+    ? await updateUserControls(userId, changes, env)
+    : await getUserControls(userId, env);
+
+  if (reset) {
+    await resetRateLimit(userId, env);
+  }
+
+  return adminResponse({ userId, controls, reset: Boolean(reset) }, 200, corsHeaders);
+}
+
+// ユーザーの発行済みトークンをすべて失効（以降の新規発行は対象外）
+async function adminRevokeUser({ params, env }, corsHeaders) {
+  if (!(await env.USER_STATS_KV.get(`user_stats:${params.userId}`))) {
+    return adminResponse({ error: 'User not found' }, 404, corsHeaders);
+  }
+
+  const revokedAt = Date.now();
+  await env.TOKEN_KV.put(`revoked_user:${params.userId}`, String(revokedAt), {
+    expirationTtl: REFRESH_TOKEN_TTL_SECONDS,
+    metadata: { revokedAt },
+  });
+
+  return adminResponse({ userId: params.userId, revokedAt }, 200, corsHeaders);
+}
+
+async function adminBlockUser({ params, body, env }, corsHeaders) {
+  if (!(await env.USER_STATS_KV.get(`user_stats:${params.userId}`))) {
+    return adminResponse({ error: 'User not found' }, 404, corsHeaders);
+  }
+
+  const controls = await updateUserControls(params.userId, {
+    blocked: true,
+    blockedReason: body.reason || null,
+    blockedAt: Date.now(),
+  }, env);
+
+  return adminResponse({ userId: params.userId, controls }, 200, corsHeaders);
+}
+
+async function adminUnblockUser({ params, env }, corsHeaders) {
+  if (!(await env.USER_STATS_KV.get(`user_stats:${params.userId}`))) {
+    return adminResponse({ error: 'User not found' }, 404, corsHeaders);
+  }
+
+  const controls = await updateUserControls(params.userId, {
+    blocked: null,
+    blockedReason: null,
+    blockedAt: null,
+  }, env);
+
+  return adminResponse({ userId: params.userId, controls }, 200, corsHeaders);
+}
+
+// 利用統計のエクスポート（format=csv または ndjson、KVを1ページずつ読みながらストリーミング）
+async function adminExportUsage({ query, env }, corsHeaders) {
+  const format = query.get('format') || 'ndjson';
+  if (format !== 'csv' && format !== 'ndjson') {
+    return adminResponse({ error: 'format must be csv or ndjson' }, 400, corsHeaders);
+  }
+
+  const prefix = `user_stats:${query.get('prefix') || ''}`;
+  const encoder = new TextEncoder();
+  let cursor;
+
+  const stream = new ReadableStream({
+    start(controller) {
+      if (format === 'csv') {
+        controller.enqueue(encoder.encode(`${USAGE_CSV_COLUMNS.join(',')}\n`));
+      }
+    },
+    async pull(controller) {
+      const result = await env.USER_STATS_KV.list({ prefix, cursor, limit: ADMIN_LIST_LIMIT });
+      const records = await Promise.all(result.keys.map(async key => ({
+        userId: key.name.substring('user_stats:'.length),
+        stats: await env.USER_STATS_KV.get(key.name, 'json'),
+      })));
+
+      const lines = records
+        .filter(record => record.stats)
+        .map(record => formatUsageRecord(record.userId, record.stats, format));
+      if (lines.length > 0) {
+        controller.enqueue(encoder.encode(lines.join('')));
+      }
+
+      if (result.list_complete) {
+        controller.close();
+      } else {
+        cursor = result.cursor;
+      }
+    },
+  });
+
+  const date = new Date().toISOString().split('T')[0];
+
+  return new Response(stream, {
+    status: 200,
+    headers: {
+      'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson',
+      'Content-Disposition': `attachment; filename="usage-${date}.${format}"`,
+      'Cache-Control': 'no-store',
+      ...corsHeaders,
+    },
+  });
+}
+
+function formatUsageRecord(userId, stats, format) {
+  if (format === 'ndjson') {
+    return `${JSON.stringify({ userId, ...stats })}\n`;
+  }
+
+  const toIsoString = timestamp => (timestamp ? new Date(timestamp).toISOString() : null);
+  const row = {
+    userId,
+    plan: stats.plan,
+    createdAt: toIsoString(stats.createdAt),
+    totalRequests: stats.totalRequests,
+    lastRequestAt: toIsoString(stats.lastRequestAt),
+    streamedBytes: stats.streamedBytes || 0,
+  };
+
+  return `${USAGE_CSV_COLUMNS.map(column => escapeCsvValue(row[column])).join(',')}\n`;
+}
+
+function escapeCsvValue(value) {
+  if (value == null) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// 監査ログの一覧（古い順、date=2024-01 のように日時の前方一致で絞り込み）
+async function adminListAudit({ query, env }, corsHeaders) {
+  const limit = Math.min(parseInt(query.get('limit'), 10) || ADMIN_LIST_LIMIT, ADMIN_LIST_LIMIT);
+  const result = await env.USER_STATS_KV.list({
+    prefix: `audit:${query.get('date') || ''}`,
+    cursor: query.get('cursor') || undefined,
+    limit,
+  });
+
+  const entries = await Promise.all(result.keys.map(key => env.USER_STATS_KV.get(key.name, 'json')));
+
+  return adminResponse({
+    entries: entries.filter(Boolean),
+    cursor: result.list_complete ? null : result.cursor,
+  }, 200, corsHeaders);
+}
+
+// 利用状況の集計の一覧（period=daily|monthly、date=2024-01 のように日付の前方一致で絞り込み）
+async function adminListRollups({ query, env }, corsHeaders) {
+  const period = query.get('period') || 'daily';
+  if (!['daily', 'monthly'].includes(period)) {
+    return adminResponse({ error: 'period must be daily or monthly' }, 400, corsHeaders);
+  }
+
+  const limit = Math.min(parseInt(query.get('limit'), 10) || ADMIN_LIST_LIMIT, ADMIN_LIST_LIMIT);
+  const result = await env.USER_STATS_KV.list({
+    prefix: `rollup:${period}:${query.get('date') || ''}`,
+    cursor: query.get('cursor') || undefined,
+    limit,
+  });
+
+  const rollups = await Promise.all(result.keys.map(key => env.USER_STATS_KV.get(key.name, 'json')));
+
+  return adminResponse({
+    rollups: rollups.filter(Boolean),
+    cursor: result.list_complete ? null : result.cursor,
+  }, 200, corsHeaders);
+}
+
+// 設定の問題の一覧（ルートテーブルの読み込み時に構造化ログにも出力される）
+async function adminGetConfig({ env }, corsHeaders) {
+  const routes = await loadRouteTable(env);
+  return adminResponse({
+    routes: routes.map(route => route.name),
+    problems: findConfigurationProblems(routes, env),
+  }, 200, corsHeaders);
+}
+
+// 当日の支出予算の消費状況（全体と、予算またはコストの設定があるルート）
+async function adminGetBudget({ env }, corsHeaders) {
+  const usage = await getSpendUsage(env);
+  if (!usage) {
+    return adminResponse({ error: 'Spend budget is unavailable' }, 503, corsHeaders);
+  }
+
+  const globalBudget = getGlobalBudget(env);
+  const routes = (await loadRouteTable(env))
+    .filter(route => route.options.budget || usage.routes[route.name])
+    .map(route => ({
+      name: route.name,
+      daily: (route.options.budget && route.options.budget.daily) || null,
+      usage: usage.routes[route.name] || { requests: 0, cost: 0 },
+    }));
+
+  return adminResponse({
+    day: usage.day,
+    global: { daily: (globalBudget && globalBudget.daily) || null, usage: usage.global },
+    routes,
+    state: await getBudgetState(null, env),
+  }, 200, corsHeaders);
+}
+
+async function adminGetMaintenance({ env }, corsHeaders) {
+  if (!env.CONFIG_KV) {
+    return adminResponse({ error: 'CONFIG_KV is not configured' }, 503, corsHeaders);
+  }
+
+  const value = await env.CONFIG_KV.get('maintenance', 'json');
+  return adminResponse(value || { enabled: false }, 200, corsHeaders);
+}
+
+// メンテナンスモードの切り替え（他のアイソレートには最大10秒で反映）
+async function adminUpdateMaintenance({ body, env }, corsHeaders) {
+  if (!env.CONFIG_KV) {
+    return adminResponse({ error: 'CONFIG_KV is not configured' }, 503, corsHeaders);
+  }
+
+  const { enabled, message, retryAfter, routes } = body;
+  if (typeof enabled !== 'boolean') {
+    return adminResponse({ error: 'enabled must be a boolean' }, 400, corsHeaders);
+  }
+  if (retryAfter != null && !(Number.isInteger(retryAfter) && retryAfter > 0)) {
+    return adminResponse({ error: 'retryAfter must be a positive integer' }, 400, corsHeaders);
+  }
+  if (routes != null && !(Array.isArray(routes) && routes.every(name => typeof name === 'string'))) {
+    return adminResponse({ error: 'routes must be an array of route names' }, 400, corsHeaders);
+  }
+
+  const value = {
+    enabled,
+    message: message || null,
+    retryAfter: retryAfter || null,
+    routes: routes || null,
+    updatedAt: new Date().toISOString(),
+  };
+  await env.CONFIG_KV.put('maintenance', JSON.stringify(value));
+  maintenanceCache = null;
+
+  return adminResponse(value, 200, corsHeaders);
+}
+
+// レスポンスキャッシュの破棄（body を指定した場合はそのリクエストの1件、省略時はルート全体）
+// 1件の破棄はこのデータセンターのエッジのキャッシュと CACHE_KV が対象、ルート全体は世代を進めて全拠点で無効化
+async function adminPurgeCache({ body, env }, corsHeaders) {
+  const route = (await loadRouteTable(env)).find(entry => entry.name === body.route);
+  if (!route || !route.options.cache) {
+    return adminResponse({ error: 'route must be the name of a cached route' }, 400, corsHeaders);
+  }
+
+  if (Object.prototype.hasOwnProperty.call(body, 'body')) {
+    const method = typeof body.method === 'string' ? body.method.toUpperCase() : route.methods[0];
+    const cache = await resolveResponseCacheKey(route, method, body.body, env);
+    await Promise.all([
+      caches.default.delete(cache.url),
+      env.CACHE_KV ? env.CACHE_KV.delete(`cache:${cache.key}`) : null,
+    ]);
+    return adminResponse({ route: route.name, purged: 'entry', key: cache.key }, 200, corsHeaders);
+  }
+
+  if (!env.CACHE_KV) {
+    return adminResponse({ error: 'CACHE_KV is not configured' }, 503, corsHeaders);
+  }
+
+  const generation = (parseInt(await env.CACHE_KV.get(`cache_generation:${route.name}`), 10) || 0) + 1;
+  await env.CACHE_KV.put(`cache_generation:${route.name}`, String(generation));
+  cacheGenerations.set(route.name, { generation, loadedAt: Date.now() });
+
+  return adminResponse({ route: route.name, purged: 'route', generation }, 200, corsHeaders);
+}
+
+// 監査ログの記録（キーは時刻順に並ぶよう audit:<ISO時刻>:<ID>）
+async function writeAuditLog(entry, request, env) {
+  const record = {
+    at: new Date().toISOString(),
+    ...entry,
+    ip: request.headers.get('CF-Connecting-IP'),
+    userAgent: request.headers.get('User-Agent'),
+  };
+
+  writeLogLine({ level: 'info', type: 'audit', ...record });
+
+  try {
+    await env.USER_STATS_KV.put(`audit:${record.at}:${generateTokenId()}`, JSON.stringify(record), {
+      expirationTtl: AUDIT_LOG_TTL_SECONDS,
+    });
+  } catch (error) {
+    logError('audit_log_write_failed', error);
+  }
+}
+
+// 管理APIで設定したユーザー毎の制御（blocked・plan・quotas）
+async function getUserControls(userId, env) {
+  return await env.USER_STATS_KV.get(`user_controls:${userId}`, 'json') || {};
+}
+
+// 制御の更新（値がnullの項目は削除）
+async function updateUserControls(userId, changes, env) {
+  const controls = { ...(await getUserControls(userId, env)), ...changes, updatedAt: Date.now() };
+  Object.keys(controls).forEach(key => {
+    if (controls[key] === null) {
+      delete controls[key];
+    }
+  });
+
+  await env.USER_STATS_KV.put(`user_controls:${userId}`, JSON.stringify(controls));
+  return controls;
+}
+
+// 一括リクエスト（ルートテーブルのルートへの複数の呼び出しを1回の往復で実行）
+const BATCH_MAX_REQUESTS = 20;
+const BATCH_CONCURRENCY = 4;
+// 各要素のレスポンスから引き継ぐヘッダー
+const BATCH_ITEM_HEADERS = ['Retry-After', 'X-Cache', 'X-Request-Id', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset'];
+
+async function handleBatchRequest(request, env, corsHeaders, ctx, requestLog) {
+  if (request.method !== 'POST') {
+    return new Response(
+      JSON.stringify({ error: 'Method not allowed' }),
+      {
+        status: 405,
+        headers: {
+          'Content-Type': 'application/json',
+          ...corsHeaders,
+        },
+      }
+    );
+  }
+
+  // 認証は一括リクエスト全体で1回
+  const authResult = await authenticateUser(request, env);
+  if (!authResult.success) {
+    requestLog.errorClass = getAuthErrorClass(authResult.status);
+    return new Response(
+      JSON.stringify({ error: authResult.error }),
+      {
+        status: authResult.status || 401,
+        headers: {
+          'Content-Type': 'application/json',
+          ...corsHeaders,
+        },
+      }
+    );
+  }
+  requestLog.userId = authResult.userId;
+
+  const text = await readBodyWithLimit(request, DEFAULT_MAX_BODY_BYTES);
+  if (text === null) {
+    requestLog.errorClass = 'payload_too_large';
+    return new Response(
+      JSON.stringify({ error: 'Request body too large', code: 'payload_too_large', limit: DEFAULT_MAX_BODY_BYTES }),
+      {
+        status: 413,
+        headers: {
+          'Content-Type': 'application/json',
+          ...corsHeaders,
+        },
+      }
+    );
+  }
+
+  let items;
+  try {
+    items = JSON.parse(text).requests;
+  } catch (error) {
+    items = undefined;
+  }
+
+  if (!Array.isArray(items) || items.length === 0 || items.length > BATCH_MAX_REQUESTS) {
+    requestLog.errorClass = 'invalid_batch';
+    return new Response(
+      JSON.stringify({
+        error: `requests must be an array of 1 to ${BATCH_MAX_REQUESTS} items`,
+        code: 'invalid_batch'
+      }),
+      {
+        status: 400,
+        headers: {
+          'Content-Type': 'application/json',
+          ...corsHeaders,
+        },
+      }
+    );
+  }
+
+  // 同時実行数を制限して順に処理（結果は要求の順序で返す）
+  const routes = await loadRouteTable(env);
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  const runWorker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await runBatchItem(items[index], index, request, env, ctx, routes, authResult, requestLog);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(BATCH_CONCURRENCY, items.length) }, runWorker));
+
+  // ユーザー統計は同じキーへの同時書き込みで件数を失わないようまとめて更新
+  const routeCounts = {};
+  for (const result of results.filter(entry => entry.counted)) {
+    routeCounts[result.route] = (routeCounts[result.route] || 0) + 1;
+  }
+  if (Object.keys(routeCounts).length > 0) {
+    ctx.waitUntil(updateUserStats(authResult.userId, env, routeCounts));
+  }
+
+  // 全体のRateLimit-*ヘッダーは最も残りの少ない要素の値
+  const quotaHeaders = results
+    .map(result => result.headers)
+    .filter(headers => headers['RateLimit-Remaining'] !== undefined)
+    .reduce((selected, headers) =>
+      !selected || Number(headers['RateLimit-Remaining']) < Number(selected['RateLimit-Remaining']) ? headers : selected,
+    null);
+
+  return new Response(
+    JSON.stringify({
+      responses: results.map(({ id, status, headers, body }) => ({ id, status, headers, body })),
+    }),
+    {
+      status: 200,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(quotaHeaders ? {
+          'RateLimit-Limit': quotaHeaders['RateLimit-Limit'],
+          'RateLimit-Remaining': quotaHeaders['RateLimit-Remaining'],
+          'RateLimit-Reset': quotaHeaders['RateLimit-Reset'],
+        } : {}),
+        ...corsHeaders,
+      },
+    }
+  );
+}
+
+// 一括リクエストの1要素（{ id, path, method, body, headers }）を通常のルートと同じ手順で処理
+// クォータは要素毎に消費し、ログ・メトリクスも要素毎に <親のリクエストID>.<番号> で記録する
+async function runBatchItem(item, index, request, env, ctx, routes, authResult, parentLog) {
+  const id = item && item.id !== undefined ? item.id : index;
+  const itemError = (status, body) => ({ id, status, headers: {}, body, counted: false });
+
+  if (!item || typeof item.path !== 'string' || !item.path.startsWith('/')) {
+    return itemError(400, { error: 'Invalid batch item', code: 'invalid_batch_item' });
+  }
+
+  const url = new URL(item.path, request.url);
+  const method = (item.method || 'POST').toUpperCase();
+  const route = matchBuiltinEndpoint(url.pathname) ? null : matchRoute(routes, url.pathname);
+
+  if (!route) {
+    return itemError(404, { error: 'Not Found' });
+  }
+  if (route.options.websocket || route.options.passthrough) {
+    return itemError(400, { error: 'Route does not support batch requests', code: 'batch_unsupported' });
+  }
+  if (!route.methods.includes(method)) {
+    return itemError(405, { error: 'Method not allowed' });
+  }
+
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-Request-Id': `${parentLog.requestId}.${index}`,
+  };
+  if (item.headers && item.headers['Cache-Control']) {
+    headers['Cache-Control'] = item.headers['Cache-Control'];
+  }
+
+  const subRequest = new Request(url, {
+    method,
+    headers,
+    body: method === 'GET' || method === 'HEAD' ? undefined : JSON.stringify(item.body ?? null),
+    signal: request.signal,
+  });
+  const requestLog = startRequestLog(subRequest);
+  requestLog.route = route.name;
+
+  let response;
+  try {
+    response = await proxyApiRequest(subRequest, env, ctx, route, authResult, requestLog, {}, false);
+  } catch (error) {
+    requestLog.errorClass = error.name || 'Error';
+    requestLog.errorMessage = error.message;
+    response = new Response(
+      JSON.stringify({ error: 'Internal Server Error' }),
+      {
+        status: 500,
+        headers: {
+          'Content-Type': 'application/json',
+        },
+      }
+    );
+  }
+  response = await finishRequestLog(response, requestLog, env);
+
+  const text = await response.text();
+  let body;
+  try {
+    body = text ? JSON.parse(text) : null;
+  } catch (error) {
+    body = text;
+  }
+
+  const itemHeaders = {};
+  for (const name of BATCH_ITEM_HEADERS) {
+    const value = response.headers.get(name);
+    if (value !== null) {
+      itemHeaders[name] = value;
+    }
+  }
+
+  return {
+    id,
+    status: response.status,
+    headers: itemHeaders,
+    body,
+    route: route.name,
+    counted: requestLog.rateLimit === 'allowed',
+  };
+}
+
+// ルート定義に従った外部APIプロキシの処理
+async function handleExternalApiRequest(request, env, ctx, route, requestLog, corsHeaders) {
+  // WebSocketルートはハンドシェイクで認証し、外部APIのWebSocketへ中継
+  if (route.options.websocket) {
+    return await handleWebSocketRequest(request, env, ctx, route, requestLog, corsHeaders);
+  }
+
+  // ルートで許可されたメソッドのみ受け付け
+  if (!route.methods.includes(request.method)) {
+    requestLog.errorClass = 'method_not_allowed';
+    return new Response(
+      JSON.stringify({ error: 'Method not allowed' }),
+      {
+        status: 405,
+        headers: {
+          'Content-Type': 'application/json',
+          'Allow': route.methods.join(', '),
+          ...corsHeaders,
+        },
+      }
+    );
+  }
+
+  // ユーザー認証の確認（署名の検証でボディを読む場合もルートの上限を適用）
+  const authResult = await authenticateUser(request, env, getMaxBodyBytes(route));
+  if (!authResult.success) {
+    requestLog.errorClass = getAuthErrorClass(authResult.status);
+    return new Response(
+      JSON.stringify({ error: authResult.error }),
+      {
+        status: authResult.status || 401,
+        headers: {
+          'Content-Type': 'application/json',
+          ...corsHeaders,
+        },
+      }
+    );
+  }
+
+  return await proxyApiRequest(request, env, ctx, route, authResult, requestLog, corsHeaders);
+}
+
+// 認証済みのリクエストを外部APIへ中継（一括リクエストの各要素からも使用）
+// recordRequest が false の場合はユーザー統計を更新しない（呼び出し元でまとめて更新する）
+async function proxyApiRequest(request, env, ctx, route, authResult, requestLog, corsHeaders, recordRequest = true) {
+  // 署名を必須にしたルートは署名のないリクエストを拒否（一括リクエストは全体の署名で判断）
+  // 署名を検証できない設定ではクライアントに署名鍵を発行しないため、設定の問題として該当ルートのみ失敗させる
+  if (route.options.requireSignature && !isRequestSigningEnabled(env)) {
+    requestLog.errorClass = 'configuration_error';
+    return new Response(
+      JSON.stringify({ error: 'Request signing is not available', code: 'configuration_error' }),
+      {
+        status: 500,
+        headers: {
+          'Content-Type': 'application/json',
+          ...corsHeaders,
+        },
+      }
+    );
+  }
+  if (route.options.requireSignature && !authResult.signed) {
+    requestLog.errorClass = 'signature_required';
+    return new Response(
+      JSON.stringify({ error: 'Request signature required', code: 'signature_required' }),
+      {
+        status: 401,
+        headers: {
+          'Content-Type': 'application/json',
+          ...corsHeaders,
+        },
+      }
+    );
+  }
+
+  // 支出予算の確認（使い切った場合はキャッシュからのみ応答し、キャッシュのないルートは拒否）
+  const budgetState = await getBudgetState(route, env);
+  if (budgetState.cacheOnly && (!route.options.cache || route.options.passthrough || route.options.async)) {
+    requestLog.errorClass = 'budget_exceeded';
+    return buildBudgetExceededResponse(budgetState, corsHeaders);
+  }
+
+  // リクエストの検証（不正なリクエストでクォータを消費させないよう、レート制限より前に行う）
+  // パススルーモードのボディは中継しながら上限を確認するため、ここでは宣言された長さのみ確認
+  const hasBody = request.method !== 'GET' && request.method !== 'HEAD';
+  let requestBody;
+  if (route.options.passthrough) {
+    const maxBodyBytes = getMaxBodyBytes(route);
+    if (parseInt(request.headers.get('Content-Length') || '', 10) > maxBodyBytes) {
+      requestLog.errorClass = 'payload_too_large';
+      return new Response(
+        JSON.stringify({ error: 'Request body too large', code: 'payload_too_large', limit: maxBodyBytes }),
+        {
+          status: 413,
+          headers: {
+            'Content-Type': 'application/json',
+            ...corsHeaders,
+          },
+        }
+      );
+    }
+  } else if (hasBody) {
+    const parsed = await readRequestBody(request, route);
+    if (parsed.error) {
+      requestLog.errorClass = parsed.error.code;
+      return new Response(
+        JSON.stringify(parsed.error),
+        {
+          status: parsed.status,
+          headers: {
+            'Content-Type': 'application/json',
+            ...corsHeaders,
+          },
+        }
+      );
+    }
+    requestBody = parsed.body;
+  }
+
+  // レート制限の確認
+  const cost = getRequestCost(authResult.plan, route, env);
+  const limits = getQuotaLimits(authResult.plan, env, authResult.quotaOverrides);
+  const rateLimitResult = await checkRateLimit(authResult.userId, limits, cost, env, recordRequest, route.name);
+  requestLog.userId = authResult.userId;
+  requestLog.cost = cost;
+  requestLog.rateLimit = !rateLimitResult.allowed ? 'limited' : (rateLimitResult.windows ? 'allowed' : 'unavailable');
+
+  // 以降のレスポンスにはすべてRateLimit-*ヘッダーを付与
+  const responseHeaders = {
+    ...corsHeaders,
+    ...buildRateLimitHeaders(rateLimitResult.windows),
+  };
+
+  if (!rateLimitResult.allowed) {
+    requestLog.errorClass = 'rate_limited';
+    return new Response(
+      JSON.stringify({
+        error: 'Rate limit exceeded',
+        retryAfter: rateLimitResult.retryAfter
+      }),
+      {
+        status: 429,
+        headers: {
+          'Content-Type': 'application/json',
+          'Retry-After': rateLimitResult.retryAfter.toString(),
+          ...responseHeaders,
+        },
+      }
+    );
+  }
+
+  // パススルーモードはJSONの検証・キャッシュ・レスポンス加工を行わずにそのまま中継
+  if (route.options.passthrough) {
+    return await handlePassthroughRequest(request, env, ctx, route, requestLog, responseHeaders);
+  }
+
+  // 非同期ルートはキューに登録してジョブIDを返す（キャッシュは使わない）
+  if (route.options.async) {
+    return await submitApiJob(request, env, ctx, route, authResult, requestBody, requestLog, responseHeaders);
+  }
+
+  // 外部APIへのリクエスト（タイムアウト・リトライ・サーキットブレーカー・フェイルオーバー付き）
+  // キャッシュの裏側での再検証からも使用
+  const requestUpstream = signal => fetchUpstream(route, {
+    method: request.method,
+    headers: { ...buildUpstreamHeaders(route), 'X-Request-Id': requestLog.requestId },
+    body: hasBody ? JSON.stringify(requestBody) : undefined,
+  }, env, signal);
+
+  // レスポンスキャッシュの確認（ルートで有効化した場合のみ）
+  const cache = route.options.cache
+    ? await resolveResponseCache(route, request, requestBody, env)
+    : null;
+
+  if (cache && cache.read) {
+    const cached = await readResponseCache(cache, env);
+    if (cached) {
+      const ageSeconds = (Date.now() - cached.cachedAt) / 1000;
+      if (ageSeconds < cache.ttl) {
+        requestLog.cache = 'HIT';
+        return await buildApiResponse(cached.data, cached.status, route, {
+          'X-Cache': 'HIT',
+          'Cache-Control': `private, max-age=${Math.floor(cache.ttl - ageSeconds)}`,
+        }, responseHeaders);
+      }
+
+      // 期限切れでも猶予期間内であれば古いレスポンスを返し、裏側で更新する（予算の超過中は更新しない）
+      if (!budgetState.cacheOnly) {
+        ctx.waitUntil(refreshResponseCache(cache, requestUpstream, route, env));
+      }
+      requestLog.cache = 'STALE';
+      return await buildApiResponse(cached.data, cached.status, route, {
+        'X-Cache': 'STALE',
+        'Cache-Control': 'private, max-age=0',
+      }, responseHeaders);
+    }
+  }
+
+  if (budgetState.cacheOnly) {
+    requestLog.errorClass = 'budget_exceeded';
+    return buildBudgetExceededResponse(budgetState, responseHeaders);
+  }
+
+  // クライアント切断時に外部APIへのリクエストも中断する
+  const upstreamController = new AbortController();
+  if (request.signal) {
+    request.signal.addEventListener('abort', () => upstreamController.abort());
+  }
+
+  // 外部APIの呼び出し
+  try {
+    const upstreamStartedAt = Date.now();
+    const externalResponse = await requestUpstream(upstreamController.signal);
+    requestLog.upstreamMs = Date.now() - upstreamStartedAt;
+    requestLog.upstreamStatus = externalResponse.status;
+    if (!externalResponse.ok) {
+      requestLog.errorClass = 'upstream_status';
+    }
+
+    // SSE・チャンク形式のレスポンスはバッファリングせずにそのまま中継
+    if (isStreamingResponse(route, externalResponse)) {
+      requestLog.streamed = true;
+      ctx.waitUntil(recordSpend(route, getEstimatedSpendCost(route), env));
+      return streamApiResponse(externalResponse, authResult.userId, env, ctx, upstreamController, responseHeaders);
+    }
+
+    let responseData;
+    try {
+      responseData = await readUpstreamJson(externalResponse);
+    } finally {
+      ctx.waitUntil(recordSpend(route, extractSpendCost(route, responseData), env));
+    }
+
+    if (!cache) {
+      return await buildApiResponse(responseData, externalResponse.status, route, {}, responseHeaders, getUpstreamRetryAfter(externalResponse));
+    }
+
+    // 成功レスポンスのみキャッシュに保存
+    if (cache.write && externalResponse.ok) {
+      ctx.waitUntil(writeResponseCache(cache, externalResponse.status, responseData, env));
+    }
+
+    requestLog.cache = cache.read ? 'MISS' : (cache.write ? 'REFRESH' : 'BYPASS');
+    return await buildApiResponse(responseData, externalResponse.status, route, {
+      'X-Cache': requestLog.cache,
+      'Cache-Control': cache.write && externalResponse.ok ? `private, max-age=${cache.ttl}` : 'no-store',
+    }, responseHeaders, getUpstreamRetryAfter(externalResponse));
+
+  } catch (error) {
+    requestLog.errorClass = error instanceof UpstreamError ? error.code : (error.name || 'Error');
+    requestLog.errorMessage = error.message;
+    return buildUpstreamFailureResponse(error, responseHeaders);
+  }
+}
+
+// 外部APIを呼び出せなかった場合のレスポンス
+function buildUpstreamFailureResponse(error, responseHeaders) {
+  if (error instanceof UpstreamError) {
+    const headers = {
+      'Content-Type': 'application/json',
+      ...responseHeaders,
+    };
+    if (error.retryAfter) {
+      headers['Retry-After'] = error.retryAfter.toString();
+    }
+
+    return new Response(
+      JSON.stringify({
+        error: error.message,
+        code: error.code,
+        ...(error.retryAfter ? { retryAfter: error.retryAfter } : {})
+      }),
+      { status: error.status, headers }
+    );
+  }
+
+  return new Response(
+    JSON.stringify({ error: 'External service unavailable', code: 'upstream_error' }),
+    {
+      status: 503,
+      headers: {
+        'Content-Type': 'application/json',
+        ...responseHeaders,
+      },
+    }
+  );
+}
+
+// 非同期ジョブの既定値（結果の保存期間はルートの options.async.resultTtlSeconds で上書き）
+const DEFAULT_JOB_RESULT_TTL_SECONDS = 24 * 60 * 60; // 24時間
+const JOB_MAX_ATTEMPTS = 3;
+// キューを使わない場合の実行時間の上限（waitUntil はレスポンス返却から約30秒で打ち切られるため、十分に短くする）
+const LOCAL_JOB_TIME_BUDGET_MS = 20 * 1000;
+const LOCAL_JOB_MAX_RETRY_DELAY_SECONDS = 5;
+// Queuesのメッセージサイズ上限（128KB）に収まるリクエストのみ受け付ける
+const JOB_MESSAGE_MAX_BYTES = 120 * 1024;
+const JOB_ID_PATTERN = /^job_[0-9a-f]{32}$/;
+
+// 非同期ルートのリクエストをキューに登録（検証・クォータの消費は登録時に済ませる）
+async function submitApiJob(request, env, ctx, route, authResult, requestBody, requestLog, responseHeaders) {
+  if (!env.JOBS_KV && !getMemoryJobStore(env)) {
+    requestLog.errorClass = 'jobs_kv_missing';
+    return new Response(
+      JSON.stringify({ error: 'JOBS_KV is not configured' }),
+      {
+        status: 500,
+        headers: {
+          'Content-Type': 'application/json',
+          ...responseHeaders,
+        },
+      }
+    );
+  }
+
+  const now = Date.now();
+  const jobId = `job_${crypto.randomUUID().replace(/-/g, '')}`;
+  const message = {
+    jobId,
+    userId: authResult.userId,
+    route: route.name,
+    method: request.method,
+    url: request.url,
+    body: requestBody,
+    requestId: requestLog.requestId,
+    createdAt: now,
+  };
+
+  const size = new TextEncoder().encode(JSON.stringify(message)).length;
+  if (size > JOB_MESSAGE_MAX_BYTES) {
+    requestLog.errorClass = 'payload_too_large';
+    return new Response(
+      JSON.stringify({ error: 'Request body too large', code: 'payload_too_large', limit: JOB_MESSAGE_MAX_BYTES }),
+      {
+        status: 413,
+        headers: {
+          'Content-Type': 'application/json',
+          ...responseHeaders,
+        },
+      }
+    );
+  }
+
+  await putJob({
+    id: jobId,
+    userId: authResult.userId,
+    route: route.name,
+    status: 'queued',
+    attempts: 0,
+    createdAt: now,
+    updatedAt: now,
+  }, getJobResultTtl(route), env);
+
+  // JOB_QUEUE未設定時（ローカル開発）はレスポンス返却後にこのアイソレートで実行
+  if (env.JOB_QUEUE) {
+    await env.JOB_QUEUE.send(message);
+  } else {
+    ctx.waitUntil(runApiJobLocally(message, env));
+  }
+
+  requestLog.jobId = jobId;
+  return new Response(
+    JSON.stringify({ jobId, status: 'queued', statusUrl: `/api/jobs/${jobId}` }),
+    {
+      status: 202,
+      headers: {
+        'Content-Type': 'application/json',
+        'Location': `/api/jobs/${jobId}`,
+        'Cache-Control': 'no-store',
+        ...responseHeaders,
+      },
+    }
+  );
+}
+
+// キューのメッセージを順に実行（外部APIに届かなかった場合は JOB_MAX_ATTEMPTS 回まで再試行）
+async function handleJobBatch(batch, env, ctx) {
+  for (const message of batch.messages) {
+    try {
+      const retryDelay = await runApiJob(message.body, message.attempts, env);
+      if (retryDelay === null) {
+        message.ack();
+      } else {
+        message.retry({ delaySeconds: retryDelay });
+      }
+    } catch (error) {
+      logError('job_execution_failed', error, { jobId: message.body.jobId, attempts: message.attempts });
+      if (message.attempts < JOB_MAX_ATTEMPTS) {
+        message.retry({ delaySeconds: getJobRetryDelay(message.attempts) });
+      } else {
+        await failApiJob(message.body, message.attempts, env);
+        message.ack();
+      }
+    }
+  }
+}
+
+// キューを使わない場合の実行（再試行はこのアイソレートで待ってから行う）
+// 間隔は LOCAL_JOB_MAX_RETRY_DELAY_SECONDS までに抑え、待ち時間を含めて LOCAL_JOB_TIME_BUDGET_MS に収まらない再試行は行わない
+// （queued・running のまま打ち切られないよう失敗として保存）
+async function runApiJobLocally(message, env) {
+  const startedAt = Date.now();
+  for (let attempts = 1; attempts <= JOB_MAX_ATTEMPTS; attempts++) {
+    let retryDelay;
+    try {
+      retryDelay = await runApiJob(message, attempts, env);
+    } catch (error) {
+      logError('job_execution_failed', error, { jobId: message.jobId, attempts });
+      if (attempts === JOB_MAX_ATTEMPTS) {
+        await failApiJob(message, attempts, env);
+        return;
+      }
+      retryDelay = getJobRetryDelay(attempts);
+    }
+
+    if (retryDelay === null) {
+      return;
+    }
+    retryDelay = Math.min(retryDelay, LOCAL_JOB_MAX_RETRY_DELAY_SECONDS);
+    if (attempts === JOB_MAX_ATTEMPTS || Date.now() - startedAt + retryDelay * 1000 > LOCAL_JOB_TIME_BUDGET_MS) {
+      await failApiJob(message, attempts, env);
+      return;
+    }
+    await new Promise(resolve => setTimeout(resolve, retryDelay * 1000));
+  }
+}
+
+function getJobRetryDelay(attempts) {
+  return Math.ceil(getBackoffDelay(attempts, { baseDelayMs: 5000, maxDelayMs: 60 * 1000 }) / 1000);
+}
+
+// 再試行を使い切ったジョブを失敗として保存（running・queued のまま残さない）
+async function failApiJob(message, attempts, env) {
+  const job = {
+    id: message.jobId,
+    userId: message.userId,
+    route: message.route,
+    attempts,
+    createdAt: message.createdAt,
+  };
+  const response = new Response(
+    JSON.stringify({ error: 'Job execution failed', code: 'job_failed' }),
+    { status: 500, headers: { 'Content-Type': 'application/json' } }
+  );
+
+  let ttl = DEFAULT_JOB_RESULT_TTL_SECONDS;
+  try {
+    const route = (await loadRouteTable(env)).find(entry => entry.name === message.route);
+    if (route) {
+      ttl = getJobResultTtl(route);
+    }
+  } catch (error) {
+    // ルート定義を読めない場合は既定の保存期間
+  }
+
+  try {
+    await completeApiJob(job, response, ttl, env);
+  } catch (error) {
+    logError('job_failure_save_failed', error);
+  }
+}
+
+// ジョブ1件の実行。結果（ステータスとボディ）は同期呼び出しと同じ形式に加工して保存する
+// 戻り値は再試行までの秒数（再試行しない場合はnull）
+async function runApiJob(message, attempts, env) {
+  const requestLog = startRequestLog(new Request(message.url, {
+    method: message.method,
+    headers: { 'X-Request-Id': `${message.requestId}.job` },
+  }));
+  requestLog.route = message.route;
+  requestLog.userId = message.userId;
+  requestLog.jobId = message.jobId;
+
+  const job = {
+    id: message.jobId,
+    userId: message.userId,
+    route: message.route,
+    status: 'running',
+    attempts,
+    createdAt: message.createdAt,
+    updatedAt: Date.now(),
+  };
+
+  const route = (await loadRouteTable(env)).find(entry => entry.name === message.route);
+  if (!route) {
+    requestLog.errorClass = 'route_not_found';
+    const response = new Response(
+      JSON.stringify({ error: 'Route is no longer available', code: 'route_not_found' }),
+      { status: 404, headers: { 'Content-Type': 'application/json' } }
+    );
+    await completeApiJob(job, await finishRequestLog(response, requestLog, env), DEFAULT_JOB_RESULT_TTL_SECONDS, env);
+    return null;
+  }
+
+  const ttl = getJobResultTtl(route);
+  await putJob(job, ttl, env);
+
+  let response;
+  const budgetState = await getBudgetState(route, env);
+  if (budgetState.cacheOnly) {
+    requestLog.errorClass = 'budget_exceeded';
+    response = buildBudgetExceededResponse(budgetState, {});
+  } else {
+    try {
+      const upstreamStartedAt = Date.now();
+      const externalResponse = await fetchUpstream(route, {
+        method: message.method,
+        headers: { ...buildUpstreamHeaders(route), 'X-Request-Id': requestLog.requestId },
+        body: message.body !== undefined ? JSON.stringify(message.body) : undefined,
+      }, env, null);
+      requestLog.upstreamMs = Date.now() - upstreamStartedAt;
+      requestLog.upstreamStatus = externalResponse.status;
+      if (!externalResponse.ok) {
+        requestLog.errorClass = 'upstream_status';
+      }
+
+      let responseData;
+      try {
+        responseData = await readUpstreamJson(externalResponse);
+      } finally {
+        await recordSpend(route, extractSpendCost(route, responseData), env);
+      }
+      response = await buildApiResponse(responseData, externalResponse.status, route, {}, {}, getUpstreamRetryAfter(externalResponse));
+
+    } catch (error) {
+      requestLog.errorClass = error instanceof UpstreamError ? error.code : (error.name || 'Error');
+      requestLog.errorMessage = error.message;
+
+      if (error instanceof UpstreamError && attempts < JOB_MAX_ATTEMPTS) {
+        await finishRequestLog(buildUpstreamFailureResponse(error, {}), requestLog, env);
+        await putJob({ ...job, status: 'queued', updatedAt: Date.now() }, ttl, env);
+        return error.retryAfter || getJobRetryDelay(attempts);
+      }
+      response = buildUpstreamFailureResponse(error, {});
+    }
+  }
+
+  await completeApiJob(job, await finishRequestLog(response, requestLog, env), ttl, env);
+  return null;
+}
+
+// ジョブの結果を保存（2xxは succeeded、それ以外は failed）
+async function completeApiJob(job, response, ttl, env) {
+  const text = await response.text();
+  let body;
+  try {
+    body = text ? JSON.parse(text) : null;
+  } catch (error) {
+    body = text;
+  }
+
+  await putJob({
+    ...job,
+    status: response.ok ? 'succeeded' : 'failed',
+    updatedAt: Date.now(),
+    result: { status: response.status, body },
+  }, ttl, env);
+}
+
+// GET /api/jobs/:id（ジョブを登録したユーザーのみ参照可能、他人のジョブは存在しないものとして扱う）
+async function handleJobStatusRequest(request, env, corsHeaders, ctx, requestLog) {
+  if (request.method !== 'GET') {
+    return new Response(
+      JSON.stringify({ error: 'Method not allowed' }),
+      {
+        status: 405,
+        headers: {
+          'Content-Type': 'application/json',
+          ...corsHeaders,
+        },
+      }
+    );
+  }
+
+  const authResult = await authenticateUser(request, env);
+  if (!authResult.success) {
+    requestLog.errorClass = getAuthErrorClass(authResult.status);
+    return new Response(
+      JSON.stringify({ error: authResult.error }),
+      {
+        status: authResult.status || 401,
+        headers: {
+          'Content-Type': 'application/json',
+          ...corsHeaders,
+        },
+      }
+    );
+  }
+  requestLog.userId = authResult.userId;
+
+  const jobId = new URL(request.url).pathname.slice('/api/jobs/'.length);
+  const job = JOB_ID_PATTERN.test(jobId) ? await getJob(jobId, env) : null;
+  if (!job || job.userId !== authResult.userId) {
+    requestLog.errorClass = 'job_not_found';
+    return new Response(
+      JSON.stringify({ error: 'Job not found', code: 'job_not_found' }),
+      {
+        status: 404,
+        headers: {
+          'Content-Type': 'application/json',
+          ...corsHeaders,
+        },
+      }
+    );
+  }
+
+  return new Response(
+    JSON.stringify({
+      jobId: job.id,
+      status: job.status,
+      route: job.route,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      ...(job.result ? { result: job.result } : {})
+    }),
+    {
+      status: 200,
+      headers: {
+        'Content-Type': 'application/json',
+        'Cache-Control': 'no-store',
+        ...corsHeaders,
+      },
+    }
+  );
+}
+
+function getJobResultTtl(route) {
+  const config = route.options.async;
+  const ttl = config && typeof config === 'object' && config.resultTtlSeconds
+    ? config.resultTtlSeconds
+    : DEFAULT_JOB_RESULT_TTL_SECONDS;
+  // KVの有効期限は60秒以上
+  return Math.max(60, ttl);
+}
+
+async function getJob(jobId, env) {
+  if (env.JOBS_KV) {
+    return await env.JOBS_KV.get(`job:${jobId}`, 'json');
+  }
+  const store = getMemoryJobStore(env);
+  return store ? store.get(jobId) : null;
+}
+
+async function putJob(job, ttl, env) {
+  if (env.JOBS_KV) {
+    await env.JOBS_KV.put(`job:${job.id}`, JSON.stringify(job), { expirationTtl: ttl });
+    return;
+  }
+  getMemoryJobStore(env).put(job, ttl);
+}
+
+// JOBS_KV 未設定時の保存先（キューを使わない場合はアイソレート内、キューが保存先を持つ場合はそれを使う）
+// Queuesのコンシューマーは登録を受けたアイソレートとは別に動くため、jobStore を持たないキューでは JOBS_KV が必須
+function getMemoryJobStore(env) {
+  if (!env.JOB_QUEUE) {
+    return localJobStore;
+  }
+  return env.JOB_QUEUE.jobStore || null;
+}
+
+// メモリ上のジョブの保存先（jobId → { job, expiresAt }）
+class MemoryJobStore {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  get(jobId) {
+    const entry = this.jobs.get(jobId);
+    if (!entry || entry.expiresAt <= Date.now()) {
+      this.jobs.delete(jobId);
+      return null;
+    }
+    return entry.job;
+  }
+
+  put(job, ttl) {
+    this.jobs.set(job.id, { job, expiresAt: Date.now() + ttl * 1000 });
+  }
+}
+
+// キューを使わない場合の JOBS_KV 未設定時の保存先（アイソレート内）
+const localJobStore = new MemoryJobStore();
+
+// テスト用のメモリ上のキュー（env.JOB_QUEUE に渡し、drain() でコンシューマーと同じ処理を実行）
+// 登録と実行が同じアイソレートで行われるため、JOBS_KV がなければ自身の jobStore にジョブを保存する
+export class MemoryJobQueue {
+  constructor() {
+    this.messages = [];
+    this.jobStore = new MemoryJobStore();
+  }
+
+  async send(body) {
+    this.messages.push({ body, attempts: 0 });
+  }
+
+  // 溜まったメッセージを1バッチとして処理（retry() されたものは次回の drain() で再実行）
+  async drain(env, ctx) {
+    const pending = this.messages.splice(0);
+    const results = [];
+    const messages = pending.map(entry => {
+      const result = { body: entry.body, attempts: entry.attempts + 1, outcome: null };
+      results.push(result);
+      return {
+        body: entry.body,
+        attempts: result.attempts,
+        ack: () => { result.outcome = 'ack'; },
+        retry: options => {
+          result.outcome = 'retry';
+          result.delaySeconds = options ? options.delaySeconds : undefined;
+          this.messages.push({ body: entry.body, attempts: result.attempts });
+        },
+      };
+    });
+
+    await handleJobBatch({ queue: 'memory', messages }, env, ctx);
+    return results;
+  }
+}
+
+// パススルーモードで中継するヘッダー（ルートの options.passthrough で上書き）
+const DEFAULT_PASSTHROUGH_REQUEST_HEADERS = [
+  'Accept', 'Accept-Language', 'Content-Type', 'Content-Encoding',
+  'If-Match', 'If-None-Match', 'If-Modified-Since', 'If-Unmodified-Since', 'Range',
+];
+const DEFAULT_PASSTHROUGH_RESPONSE_HEADERS = [
+  'Content-Type', 'Content-Disposition', 'Content-Language', 'Content-Range', 'Accept-Ranges',
+  'ETag', 'Last-Modified', 'Cache-Control', 'Expires',
+];
+// 許可リストに含めても中継しないヘッダー（認証情報・接続制御・Cloudflare内部）
+const PASSTHROUGH_BLOCKED_HEADERS = [
+  'authorization', 'proxy-authorization', 'cookie', 'set-cookie', 'host', 'connection',
+  'content-length', 'transfer-encoding', 'upgrade', 'x-forwarded-for', 'x-real-ip',
+];
+
+// パススルーモード：メソッド・パスの残り・クエリ・許可したヘッダー・ボディをそのまま外部APIへ中継
+async function handlePassthroughRequest(request, env, ctx, route, requestLog, responseHeaders) {
+  const config = route.options.passthrough === true ? {} : route.options.passthrough;
+  const url = new URL(request.url);
+  const suffix = url.pathname.slice(route.prefix.length);
+  const maxBodyBytes = getMaxBodyBytes(route);
+  // 宣言された長さの上限は proxyApiRequest でレート制限より前に確認済み
+  const declaredLength = parseInt(request.headers.get('Content-Length') || '', 10);
+
+  // Content-Lengthのあるボディはそのまま渡し（長さはランタイムが保証）、
+  // チャンク形式のボディは上限を超えた時点で送信を打ち切る
+  const hasBody = request.method !== 'GET' && request.method !== 'HEAD' && request.body;
+  let bodyTooLarge = false;
+  let body;
+  if (hasBody) {
+    if (Number.isFinite(declaredLength)) {
+      body = request.body;
+    } else {
+      let totalBytes = 0;
+      body = request.body.pipeThrough(new TransformStream({
+        transform(chunk, controller) {
+          totalBytes += chunk.byteLength;
+          if (totalBytes > maxBodyBytes) {
+            bodyTooLarge = true;
+            controller.error(new Error('Request body too large'));
+            return;
+          }
+          controller.enqueue(chunk);
+        },
+      }));
+    }
+  }
+
+  const headers = {
+    ...pickHeaders(request.headers, config.requestHeaders || DEFAULT_PASSTHROUGH_REQUEST_HEADERS),
+    ...buildUpstreamHeaders(route, null),
+    'X-Request-Id': requestLog.requestId,
+  };
+
+  try {
+    const upstreamStartedAt = Date.now();
+    const externalResponse = await fetchUpstream(
+      route,
+      { method: request.method, headers, body },
+      env,
+      request.signal,
+      target => buildPassthroughUrl(target, suffix, url.search)
+    );
+    requestLog.upstreamMs = Date.now() - upstreamStartedAt;
+    requestLog.upstreamStatus = externalResponse.status;
+    ctx.waitUntil(recordSpend(route, getEstimatedSpendCost(route), env));
+
+    // 認証情報の問題・外部APIの混雑・障害は内部情報を含めずに共通形式へ変換
+    const status = externalResponse.status;
+    if (status === 401 || status === 403 || status === 429 || status >= 500) {
+      requestLog.errorClass = 'upstream_status';
+      if (externalResponse.body) {
+        await externalResponse.body.cancel();
+      }
+      const normalized = normalizeUpstreamError(status, getUpstreamRetryAfter(externalResponse));
+      return new Response(
+        JSON.stringify(normalized.body),
+        {
+          status: normalized.status,
+          headers: {
+            'Content-Type': 'application/json',
+            ...normalized.headers,
+            ...responseHeaders,
+          },
+        }
+      );
+    }
+    if (!externalResponse.ok) {
+      requestLog.errorClass = 'upstream_status';
+    }
+
+    requestLog.streamed = Boolean(externalResponse.body);
+    return new Response(externalResponse.body, {
+      status,
+      headers: {
+        ...pickHeaders(externalResponse.headers, config.responseHeaders || DEFAULT_PASSTHROUGH_RESPONSE_HEADERS),
+        ...responseHeaders,
+      },
+    });
+
+  } catch (error) {
+    if (bodyTooLarge) {
+      requestLog.errorClass = 'payload_too_large';
+      return new Response(
+        JSON.stringify({ error: 'Request body too large', code: 'payload_too_large', limit: maxBodyBytes }),
+        {
+          status: 413,
+          headers: {
+            'Content-Type': 'application/json',
+            ...responseHeaders,
+          },
+        }
+      );
+    }
+
+    requestLog.errorClass = error instanceof UpstreamError ? error.code : (error.name || 'Error');
+    requestLog.errorMessage = error.message;
+    return buildUpstreamFailureResponse(error, responseHeaders);
+  }
+}
+
+// 許可リストのヘッダーのみを取り出す（大文字小文字は区別しない）
+function pickHeaders(source, names) {
+  const picked = {};
+  for (const name of names) {
+    if (PASSTHROUGH_BLOCKED_HEADERS.includes(name.toLowerCase()) || name.toLowerCase().startsWith('cf-')) {
+      continue;
+    }
+    const value = source.get(name);
+    if (value !== null) {
+      picked[name] = value;
+    }
+  }
+  return picked;
+}
+
+// 接続先URLにパスの残りとクエリを付与（接続先URLに固定されたクエリはクライアントから上書きさせない）
+function buildPassthroughUrl(upstream, suffix, search) {
+  const url = new URL(upstream);
+  url.pathname = url.pathname.replace(/\/+$/, '') + suffix;
+
+  const fixedKeys = new Set(url.searchParams.keys());
+  for (const [key, value] of new URLSearchParams(search)) {
+    if (!fixedKeys.has(key)) {
+      url.searchParams.append(key, value);
+    }
+  }
+
+  return url.toString();
+}
+
+// WebSocketルートの既定値（ルートの options.websocket で上書き）
+// メッセージ数・バイト数は両方向の合計で、messagesPerUnit 件または bytesPerUnit バイト毎にクォータを1消費する
+const DEFAULT_WEBSOCKET_OPTIONS = {
+  idleTimeoutMs: 5 * 60 * 1000,
+  maxMessageBytes: 1024 * 1024,
+  messagesPerUnit: 100,
+  bytesPerUnit: 1024 * 1024,
+};
+// ブラウザはWebSocketにヘッダーを付けられないため、サブプロトコルでトークンを受け取る
+const WEBSOCKET_PROXY_PROTOCOL = 'api-proxy';
+const WEBSOCKET_TOKEN_PROTOCOL_PREFIX = 'bearer.';
+const WEBSOCKET_DPOP_PROTOCOL_PREFIX = 'dpop.';
+const WEBSOCKET_CLOSE_CODES = {
+  normal: 1000,
+  goingAway: 1001,
+  policyViolation: 1008,
+  messageTooBig: 1009,
+  internalError: 1011,
+};
+
+// WebSocketの中継（ハンドシェイクで認証・クォータを確認し、外部APIへ当方の認証情報で接続）
+async function handleWebSocketRequest(request, env, ctx, route, requestLog, corsHeaders) {
+  if ((request.headers.get('Upgrade') || '').toLowerCase() !== 'websocket') {
+    requestLog.errorClass = 'upgrade_required';
+    return new Response(
+      JSON.stringify({ error: 'Expected WebSocket upgrade' }),
+      {
+        status: 426,
+        headers: {
+          'Content-Type': 'application/json',
+          'Upgrade': 'websocket',
+          ...corsHeaders,
+        },
+      }
+    );
+  }
+
+  const protocols = (request.headers.get('Sec-WebSocket-Protocol') || '')
+    .split(',')
+    .map(protocol => protocol.trim())
+    .filter(Boolean);
+  const tokenProtocol = protocols.find(protocol => protocol.startsWith(WEBSOCKET_TOKEN_PROTOCOL_PREFIX));
+  const dpopProtocol = protocols.find(protocol => protocol.startsWith(WEBSOCKET_DPOP_PROTOCOL_PREFIX));
+  const authorization = parseAuthorizationHeader(request.headers.get('Authorization'));
+
+  // DPoPで束縛されたトークンの証明もヘッダーまたはサブプロトコル（dpop.<証明>）で受け取る
+  let token = null;
+  let binding = null;
+  if (authorization) {
+    token = authorization.token;
+    binding = { scheme: authorization.scheme, proof: request.headers.get('DPoP'), method: request.method, url: request.url };
+  } else if (tokenProtocol) {
+    token = tokenProtocol.substring(WEBSOCKET_TOKEN_PROTOCOL_PREFIX.length);
+    binding = {
+      scheme: dpopProtocol ? 'DPoP' : 'Bearer',
+      proof: dpopProtocol ? dpopProtocol.substring(WEBSOCKET_DPOP_PROTOCOL_PREFIX.length) : null,
+      method: request.method,
+      url: request.url,
+    };
+  }
+
+  const authResult = token
+    ? await authenticateAccessToken(token, env, binding)
+    : { success: false, error: 'Missing or invalid authorization header' };
+  if (!authResult.success) {
+    requestLog.errorClass = getAuthErrorClass(authResult.status);
+    return new Response(
+      JSON.stringify({ error: authResult.error }),
+      {
+        status: authResult.status || 401,
+        headers: {
+          'Content-Type': 'application/json',
+          ...corsHeaders,
+        },
+      }
+    );
+  }
+
+  const budgetState = await getBudgetState(route, env);
+  if (budgetState.cacheOnly) {
+    requestLog.errorClass = 'budget_exceeded';
+    return buildBudgetExceededResponse(budgetState, corsHeaders);
+  }
+
+  // 接続自体もルートのコスト分クォータを消費
+  const cost = getRequestCost(authResult.plan, route, env);
+  const limits = getQuotaLimits(authResult.plan, env, authResult.quotaOverrides);
+  const rateLimitResult = await checkRateLimit(authResult.userId, limits, cost, env, true, route.name);
+  requestLog.userId = authResult.userId;
+  requestLog.cost = cost;
+  requestLog.rateLimit = !rateLimitResult.allowed ? 'limited' : (rateLimitResult.windows ? 'allowed' : 'unavailable');
+
+  const responseHeaders = {
+    ...corsHeaders,
+    ...buildRateLimitHeaders(rateLimitResult.windows),
+  };
+
+  if (!rateLimitResult.allowed) {
+    requestLog.errorClass = 'rate_limited';
+    return new Response(
+      JSON.stringify({
+        error: 'Rate limit exceeded',
+        retryAfter: rateLimitResult.retryAfter
+      }),
+      {
+        status: 429,
+        headers: {
+          'Content-Type': 'application/json',
+          'Retry-After': rateLimitResult.retryAfter.toString(),
+          ...responseHeaders,
+        },
+      }
+    );
+  }
+
+  // トークン用・DPoP用・プロキシ用以外のサブプロトコルは外部APIへ引き継ぐ
+  const upstreamProtocols = protocols.filter(protocol =>
+    protocol !== tokenProtocol && protocol !== dpopProtocol && protocol !== WEBSOCKET_PROXY_PROTOCOL
+  );
+  const headers = {
+    ...buildUpstreamHeaders(route, null),
+    'Upgrade': 'websocket',
+    'X-Request-Id': requestLog.requestId,
+  };
+  if (upstreamProtocols.length > 0) {
+    headers['Sec-WebSocket-Protocol'] = upstreamProtocols.join(', ');
+  }
+
+  let upstreamResponse;
+  try {
+    const upstreamStartedAt = Date.now();
+    // Workersのfetchはws(s)://を受け付けないため、http(s)://に置き換えて接続
+    upstreamResponse = await fetchUpstream(route, { method: 'GET', headers }, env, null,
+      target => target.replace(/^ws(s?):\/\//, 'http$1://'));
+    requestLog.upstreamMs = Date.now() - upstreamStartedAt;
+    requestLog.upstreamStatus = upstreamResponse.status;
+  } catch (error) {
+    requestLog.errorClass = error instanceof UpstreamError ? error.code : (error.name || 'Error');
+    requestLog.errorMessage = error.message;
+    return buildUpstreamFailureResponse(error, responseHeaders);
+  }
+
+  const upstream = upstreamResponse.webSocket;
+  if (!upstream) {
+    requestLog.errorClass = 'upstream_status';
+    if (upstreamResponse.body) {
+      await upstreamResponse.body.cancel();
+    }
+    const normalized = normalizeUpstreamError(upstreamResponse.status, getUpstreamRetryAfter(upstreamResponse));
+    return new Response(
+      JSON.stringify(normalized.body),
+      {
+        status: normalized.status,
+        headers: {
+          'Content-Type': 'application/json',
+          ...normalized.headers,
+          ...responseHeaders,
+        },
+      }
+    );
+  }
+
+  ctx.waitUntil(recordSpend(route, getEstimatedSpendCost(route), env));
+
+  const [client, server] = Object.values(new WebSocketPair());
+  server.accept();
+  upstream.accept();
+  relayWebSocket(server, upstream, {
+    route,
+    userId: authResult.userId,
+    limits,
+    config: { ...DEFAULT_WEBSOCKET_OPTIONS, ...(route.options.websocket === true ? {} : route.options.websocket) },
+    env,
+    ctx,
+  });
+
+  // サブプロトコルを指定した接続には必ずいずれかを返す（返さないとブラウザが接続を失敗扱いにする）
+  const selectedProtocol = upstreamResponse.headers.get('Sec-WebSocket-Protocol') ||
+    (protocols.includes(WEBSOCKET_PROXY_PROTOCOL) ? WEBSOCKET_PROXY_PROTOCOL : tokenProtocol);
+
+  return new Response(null, {
+    status: 101,
+    webSocket: client,
+    headers: {
+      'X-Request-Id': requestLog.requestId,
+      ...(selectedProtocol ? { 'Sec-WebSocket-Protocol': selectedProtocol } : {}),
+    },
+  });
+}
+
+// クライアントと外部APIの間でメッセージを中継し、メッセージ数・バイト数をクォータに計上
+// 無通信が続いた場合は1001、クォータ超過は1008、サイズ超過は1009で両方を切断する
+function relayWebSocket(client, upstream, { route, userId, limits, config, env, ctx }) {
+  const messageCost = Number((route.options.budget && route.options.budget.messageCost) || 0);
+  let closed = false;
+  let idleTimer = null;
+  let pendingMessages = 0;
+  let pendingBytes = 0;
+  let totalBytes = 0;
+  let unbilledMessages = 0;
+  let charging = Promise.resolve();
+
+  // メッセージ分のコストを支出予算に計上（options.budget.messageCost）
+  const recordMessageSpend = async () => {
+    if (!(messageCost > 0) || unbilledMessages === 0) {
+      return;
+    }
+    const messages = unbilledMessages;
+    unbilledMessages = 0;
+    await recordSpend(route, messages * messageCost, env, 0);
+  };
+
+  const closeBoth = (code, reason) => {
+    if (closed) {
+      return;
+    }
+    closed = true;
+    clearTimeout(idleTimer);
+    closeWebSocket(client, code, reason);
+    closeWebSocket(upstream, code, reason);
+    ctx.waitUntil(charging.then(() => Promise.all([
+      recordStreamUsage(userId, totalBytes, env),
+      recordMessageSpend(),
+    ])));
+  };
+
+  const resetIdleTimer = () => {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(
+      () => closeBoth(WEBSOCKET_CLOSE_CODES.goingAway, 'Idle timeout'),
+      config.idleTimeoutMs
+    );
+  };
+
+  // 1単位分たまった時点でまとめて消費（消費は1件ずつ順番に行う）
+  const charge = async () => {
+    const units = Math.floor(pendingMessages / config.messagesPerUnit) +
+      Math.floor(pendingBytes / config.bytesPerUnit);
+    if (units === 0 || closed) {
+      return;
+    }
+    pendingMessages %= config.messagesPerUnit;
+    pendingBytes %= config.bytesPerUnit;
+
+    try {
+      const result = await enforceLimits(userId, limits, units, env);
+      if (!result.allowed) {
+        closeBoth(WEBSOCKET_CLOSE_CODES.policyViolation, 'Rate limit exceeded');
+        return;
+      }
+
+      // 接続中に予算を使い切った場合は切断
+      if (messageCost > 0) {
+        await recordMessageSpend();
+        if ((await getBudgetState(route, env)).cacheOnly) {
+          closeBoth(WEBSOCKET_CLOSE_CODES.policyViolation, 'Budget exceeded');
+        }
+      }
+    } catch (error) {
+      // 消費に失敗した場合は接続を維持する
+      logError('websocket_metering_failed', error);
+    }
+  };
+
+  const forward = (source, target, fallbackCloseCode) => {
+    source.addEventListener('message', event => {
+      if (closed) {
+        return;
+      }
+
+      const bytes = typeof event.data === 'string'
+        ? new TextEncoder().encode(event.data).byteLength
+        : event.data.byteLength;
+      if (bytes > config.maxMessageBytes) {
+        closeBoth(WEBSOCKET_CLOSE_CODES.messageTooBig, 'Message too big');
+        return;
+      }
+
+      pendingMessages++;
+      pendingBytes += bytes;
+      totalBytes += bytes;
+      unbilledMessages++;
+      resetIdleTimer();
+
+      try {
+        target.send(event.data);
+      } catch (error) {
+        closeBoth(WEBSOCKET_CLOSE_CODES.internalError, 'Relay failed');
+        return;
+      }
+
+      charging = charging.then(charge);
+    });
+
+    // 相手側の切断はそのまま伝える（送信できないコードは置き換える）
+    source.addEventListener('close', event => {
+      closeBoth(isSendableCloseCode(event.code) ? event.code : fallbackCloseCode, event.reason || '');
+    });
+    source.addEventListener('error', () => {
+      closeBoth(fallbackCloseCode, 'WebSocket error');
+    });
+  };
+
+  forward(client, upstream, WEBSOCKET_CLOSE_CODES.goingAway);
+  forward(upstream, client, WEBSOCKET_CLOSE_CODES.internalError);
+  resetIdleTimer();
+}
+
+// close() に指定できるコード（1005・1006・1015は受信専用）
+function isSendableCloseCode(code) {
+  return code === 1000 || (code >= 1001 && code <= 1014 && ![1004, 1005, 1006].includes(code)) ||
+    (code >= 3000 && code <= 4999);
+}
+
+function closeWebSocket(socket, code, reason) {
+  try {
+    socket.close(code, reason);
+  } catch (error) {
+    // 既に閉じている
+  }
+}
+
+// RateLimit-*ヘッダー（最も残りの少ないウィンドウの値）
+function buildRateLimitHeaders(windows) {
+  const quota = selectQuotaWindow(windows);
+  if (!quota) {
+    return {};
+  }
+
+  return {
+    'RateLimit-Limit': quota.limit.toString(),
+    'RateLimit-Remaining': quota.remaining.toString(),
+    'RateLimit-Reset': quota.reset.toString(),
+  };
+}
+
+// 残りが最も少ない（同数なら回復が遅い）ウィンドウを選択
+function selectQuotaWindow(windows) {
+  if (!windows || windows.length === 0) {
+    return null;
+  }
+
+  return windows.reduce((selected, window) => {
+    if (window.remaining !== selected.remaining) {
+      return window.remaining < selected.remaining ? window : selected;
+    }
+    return window.reset > selected.reset ? window : selected;
+  });
+}
+
+// 外部APIのデータを加工してクライアント向けのレスポンスを生成
+// retryAfter は外部APIの Retry-After（秒、429の変換時に引き継ぐ）
+async function buildApiResponse(data, status, route, extraHeaders, corsHeaders, retryAfter = null) {
+  // エラーレスポンスは外部APIの内部情報を含めずに共通形式へ変換
+  if (status < 200 || status >= 300) {
+    const normalized = normalizeUpstreamError(status, retryAfter);
+    return new Response(
+      JSON.stringify(normalized.body),
+      {
+        status: normalized.status,
+        headers: {
+          'Content-Type': 'application/json',
+          ...normalized.headers,
+          ...corsHeaders,
+        },
+      }
+    );
+  }
+
+  // レスポンスの加工（ルートの options.response に従う）
+  const processedData = await processApiResponse(data, route);
+
+  return new Response(
+    JSON.stringify(processedData),
+    {
+      status,
+      headers: {
+        'Content-Type': 'application/json',
+        ...extraHeaders,
+        ...corsHeaders,
+      },
+    }
+  );
+}
+
+// レスポンスキャッシュの設定解決
+// リクエストの Cache-Control: no-store はキャッシュを使わず、no-cache は外部APIから取得し直して上書きする
+async function resolveResponseCache(route, request, requestBody, env) {
+  const config = route.options.cache;
+  const directives = (request.headers.get('Cache-Control') || '').toLowerCase();
+  const bypass = directives.includes('no-store');
+
+  return {
+    ...(await resolveResponseCacheKey(route, request.method, requestBody, env)),
+    ttl: config.ttl || 60,
+    staleWhileRevalidate: config.staleWhileRevalidate || 0,
+    useKv: Boolean(config.kv),
+    read: !bypass && !directives.includes('no-cache'),
+    write: !bypass,
+  };
+}
+
+// キャッシュキー（ルート名・世代・メソッド・正規化したJSONボディのハッシュ）
+// options.cache.version の変更、または管理APIでの破棄（世代を進める）でルートのキャッシュを全件破棄
+async function resolveResponseCacheKey(route, method, requestBody, env) {
+  const source = [
+    route.name,
+    route.options.cache.version || 0,
+    await getCacheGeneration(route.name, env),
+    method,
+    normalizeJson(requestBody === undefined ? null : requestBody),
+  ].join('\n');
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(source));
+  const hash = Array.from(new Uint8Array(digest))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('');
+
+  return {
+    key: `${route.name}:${hash}`,
+    url: `https://proxy-cache.internal/${encodeURIComponent(route.name)}/${hash}`,
+  };
+}
+
+// ルート単位のキャッシュの世代（CACHE_KVのキー "cache_generation:<ルート名>"、未設定時は0）
+const CACHE_GENERATION_CACHE_MS = 10 * 1000;
+const cacheGenerations = new Map();
+
+async function getCacheGeneration(routeName, env) {
+  if (!env.CACHE_KV) {
+    return 0;
+  }
+
+  const now = Date.now();
+  const cached = cacheGenerations.get(routeName);
+  if (cached && now - cached.loadedAt < CACHE_GENERATION_CACHE_MS) {
+    return cached.generation;
+  }
+
+  let generation = cached ? cached.generation : 0;
+  try {
+    generation = parseInt(await env.CACHE_KV.get(`cache_generation:${routeName}`), 10) || 0;
+  } catch (error) {
+    logError('cache_generation_check_failed', error);
+  }
+
+  cacheGenerations.set(routeName, { generation, loadedAt: now });
+  return generation;
+}
+
+// キー順を揃えたJSON文字列（同じ内容のボディを同じキャッシュキーにする）
+function normalizeJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(normalizeJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${normalizeJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// キャッシュの読み出し（エッジのCache API → CACHE_KV の順、猶予期間を過ぎたものは無視）
+async function readResponseCache(cache, env) {
+  const maxAgeMs = (cache.ttl + cache.staleWhileRevalidate) * 1000;
+
+  try {
+    const cachedResponse = await caches.default.match(cache.url);
+    if (cachedResponse) {
+      const entry = await cachedResponse.json();
+      if (Date.now() - entry.cachedAt < maxAgeMs) {
+        return entry;
+      }
+    }
+
+    if (cache.useKv && env.CACHE_KV) {
+      const entry = await env.CACHE_KV.get(`cache:${cache.key}`, 'json');
+      if (entry && Date.now() - entry.cachedAt < maxAgeMs) {
+        // 次回以降はエッジのキャッシュから返せるようにする
+        await putEdgeCache(cache, entry, maxAgeMs);
+        return entry;
+      }
+    }
+  } catch (error) {
+    logError('cache_read_failed', error);
+  }
+
+  return null;
+}
+
+// キャッシュへの保存
+async function writeResponseCache(cache, status, data, env) {
+  const entry = { status, data, cachedAt: Date.now() };
+  const maxAgeMs = (cache.ttl + cache.staleWhileRevalidate) * 1000;
+
+  try {
+    await putEdgeCache(cache, entry, maxAgeMs);
+
+    if (cache.useKv && env.CACHE_KV) {
+      await env.CACHE_KV.put(`cache:${cache.key}`, JSON.stringify(entry), {
+        expirationTtl: Math.max(60, Math.ceil(maxAgeMs / 1000)),
+      });
+    }
+  } catch (error) {
+    logError('cache_write_failed', error);
+  }
+}
+
+async function putEdgeCache(cache, entry, maxAgeMs) {
+  const remainingSeconds = Math.ceil((entry.cachedAt + maxAgeMs - Date.now()) / 1000);
+  await caches.default.put(cache.url, new Response(JSON.stringify(entry), {
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': `max-age=${Math.max(1, remainingSeconds)}`,
+    },
+  }));
+}
+
+// 猶予期間中の裏側での再検証（同じキーの再検証はキー毎のロックで1件にまとめる）
+async function refreshResponseCache(cache, requestUpstream, route, env) {
+  if (!(await acquireRevalidationLock(cache))) {
+    return;
+  }
+
+  try {
+    const externalResponse = await requestUpstream();
+    if (!externalResponse.ok) {
+      await recordSpend(route, 0, env);
+      return;
+    }
+
+    const responseData = await readUpstreamJson(externalResponse);
+    await recordSpend(route, extractSpendCost(route, responseData), env);
+    await writeResponseCache(cache, externalResponse.status, responseData, env);
+  } catch (error) {
+    logError('cache_revalidation_failed', error);
+  } finally {
+    await releaseRevalidationLock(cache);
+  }
+}
+
+// 再検証のロック（アイソレート内は実行中のキー、同じデータセンターの他のアイソレートとはエッジのキャッシュに置いた印で排他）
+// 印は外部APIのタイムアウトより長く残らないよう短い有効期限にし、再検証が終われば削除する
+const CACHE_REVALIDATION_LOCK_SECONDS = 30;
+const cacheRevalidations = new Set();
+
+async function acquireRevalidationLock(cache) {
+  if (cacheRevalidations.has(cache.key)) {
+    return false;
+  }
+  cacheRevalidations.add(cache.key);
+
+  const lockUrl = `${cache.url}?revalidating`;
+  try {
+    if (await caches.default.match(lockUrl)) {
+      cacheRevalidations.delete(cache.key);
+      return false;
+    }
+    await caches.default.put(lockUrl, new Response('1', {
+      headers: { 'Cache-Control': `max-age=${CACHE_REVALIDATION_LOCK_SECONDS}` },
+    }));
+  } catch (error) {
+    // 印を置けない場合もアイソレート内の排他だけで続行
+    logError('cache_revalidation_lock_failed', error);
+  }
+
+  return true;
+}
+
+async function releaseRevalidationLock(cache) {
+  cacheRevalidations.delete(cache.key);
+  try {
+    await caches.default.delete(`${cache.url}?revalidating`);
+  } catch (error) {
+    logError('cache_revalidation_unlock_failed', error);
+  }
+}
+
+// リクエストボディの上限（ルートの options.request.maxBodyBytes で上書き）
+const DEFAULT_MAX_BODY_BYTES = 1024 * 1024; // 1MB
+
+function getMaxBodyBytes(route) {
+  return (route.options.request && route.options.request.maxBodyBytes) || DEFAULT_MAX_BODY_BYTES;
+}
+
+// リクエストボディの読み込みと検証（サイズ上限 → JSON解析 → スキーマ検証 → 数値の丸め）
+async function readRequestBody(request, route) {
+  const config = route.options.request || {};
+  const maxBodyBytes = getMaxBodyBytes(route);
+
+  const text = await readBodyWithLimit(request, maxBodyBytes);
+  if (text === null) {
+    return {
+      status: 413,
+      error: { error: 'Request body too large', code: 'payload_too_large', limit: maxBodyBytes },
+    };
+  }
+
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch (error) {
+    return { status: 400, error: { error: 'Invalid JSON in request body', code: 'invalid_json' } };
+  }
+
+  if (config.schema) {
+    const errors = [];
+    body = validateSchema(body, config.schema, '$', errors, config.unknownFields || 'allow');
+    if (errors.length > 0) {
+      return {
+        status: 400,
+        error: { error: 'Request validation failed', code: 'invalid_request', details: errors },
+      };
+    }
+  }
+
+  if (config.clamp) {
+    body = clampParameters(body, config.clamp);
+  }
+
+  return { body };
+}
+
+// 上限を超えた時点で読み込みを打ち切る（超過時はnull）
+async function readBodyWithLimit(request, maxBytes) {
+  const bytes = await readBodyBytesWithLimit(request, maxBytes);
+  return bytes === null ? null : new TextDecoder().decode(bytes);
+}
+
+async function readBodyBytesWithLimit(request, maxBytes) {
+  const declaredLength = parseInt(request.headers.get('Content-Length') || '', 10);
+  if (declaredLength > maxBytes) {
+    return null;
+  }
+  if (!request.body) {
+    return new Uint8Array(0);
+  }
+
+  const reader = request.body.getReader();
+  const chunks = [];
+  let totalBytes = 0;
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    totalBytes += value.byteLength;
+    if (totalBytes > maxBytes) {
+      await reader.cancel();
+      return null;
+    }
+    chunks.push(value);
+  }
+
+  const bytes = new Uint8Array(totalBytes);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+
+  return bytes;
+}
+
+// JSON Schemaのサブセットによる検証（エラーはパス付きで errors に追加）
+// 対応キーワード: type, enum, const, properties, required, additionalProperties, items,
+// minimum, maximum, minLength, maxLength, pattern, minItems, maxItems
+// unknownFields が 'strip' の場合、properties にないフィールドを取り除いた値を返す
+function validateSchema(value, schema, path, errors, unknownFields) {
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesSchemaType(value, type))) {
+      errors.push({ path, message: `must be ${types.join(' or ')}` });
+      return value;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(candidate => normalizeJson(candidate) === normalizeJson(value))) {
+    errors.push({ path, message: `must be one of ${schema.enum.map(candidate => JSON.stringify(candidate)).join(', ')}` });
+  }
+  if ('const' in schema && normalizeJson(schema.const) !== normalizeJson(value)) {
+    errors.push({ path, message: `must be ${JSON.stringify(schema.const)}` });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum != null && value < schema.minimum) {
+      errors.push({ path, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum != null && value > schema.maximum) {
+      errors.push({ path, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength != null && value.length < schema.minLength) {
+      errors.push({ path, message: `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength != null && value.length > schema.maxLength) {
+      errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: `must match pattern ${schema.pattern}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems != null && value.length > schema.maxItems) {
+      errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      return value.map((item, index) =>
+        validateSchema(item, schema.items, `${path}[${index}]`, errors, unknownFields)
+      );
+    }
+    return value;
+  }
+
+  if (value && typeof value === 'object') {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push({ path: `${path}.${key}`, message: 'is required' });
+      }
+    }
+
+    const result = {};
+    for (const [key, child] of Object.entries(value)) {
+      if (properties[key]) {
+        result[key] = validateSchema(child, properties[key], `${path}.${key}`, errors, unknownFields);
+        continue;
+      }
+
+      // 定義されていないフィールドの扱い（strip: 取り除く、reject または additionalProperties: false: エラー）
+      const isClosed = Boolean(schema.properties) || schema.additionalProperties === false;
+      if (isClosed && unknownFields === 'strip') {
+        continue;
+      }
+      if (schema.additionalProperties === false || (isClosed && unknownFields === 'reject')) {
+        errors.push({ path: `${path}.${key}`, message: 'is not allowed' });
+        continue;
+      }
+      result[key] = child;
+    }
+    return result;
+  }
+
+  return value;
+}
+
+function matchesSchemaType(value, type) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'null': return value === null;
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default: return false;
+  }
+}
+
+// 高コストなパラメータの丸め（例: { "max_tokens": { "max": 1024 }, "options.limit": { "min": 1, "max": 100 } }）
+function clampParameters(body, clamp) {
+  for (const [path, range] of Object.entries(clamp)) {
+    const keys = path.split('.');
+    const lastKey = keys.pop();
+    const parent = keys.reduce((target, key) => (target && typeof target === 'object' ? target[key] : undefined), body);
+
+    if (!parent || typeof parent !== 'object' || typeof parent[lastKey] !== 'number') {
+      continue;
+    }
+
+    let value = parent[lastKey];
+    if (range.min != null) value = Math.max(range.min, value);
+    if (range.max != null) value = Math.min(range.max, value);
+    parent[lastKey] = value;
+  }
+
+  return body;
+}
+
+// 外部API呼び出しの失敗（codeはクライアントに返すエラー種別）
+class UpstreamError extends Error {
+  constructor(code, message, status, retryAfter = null) {
+    super(message);
+    this.name = 'UpstreamError';
+    this.code = code;
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// 外部APIのレスポンスをJSONとして読み込む（HTMLのエラーページ等はエラーとして扱う）
+async function readUpstreamJson(response) {
+  const text = await response.text();
+
+  try {
+    return text ? JSON.parse(text) : {};
+  } catch (error) {
+    if (!response.ok) {
+      throw new UpstreamError('upstream_error', `Upstream responded with ${response.status}`, 502);
+    }
+    throw new UpstreamError('upstream_invalid_response', 'Upstream returned an invalid response', 502);
+  }
+}
+
+// リトライ・タイムアウト・サーキットブレーカーの既定値（ルートの options で上書き）
+const DEFAULT_UPSTREAM_TIMEOUT_MS = 30 * 1000;
+const DEFAULT_RETRY_POLICY = { attempts: 2, baseDelayMs: 200, maxDelayMs: 5000 };
+const DEFAULT_CIRCUIT_BREAKER = { failureThreshold: 5, cooldownMs: 30 * 1000 };
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+
+function getResiliencePolicy(route, method) {
+  const retry = { ...DEFAULT_RETRY_POLICY, ...route.options.retry };
+
+  return {
+    timeoutMs: route.options.timeoutMs || DEFAULT_UPSTREAM_TIMEOUT_MS,
+    // POSTは冪等であることをルートで明示した場合のみリトライ
+    retries: IDEMPOTENT_METHODS.includes(method) || retry.idempotent ? retry.attempts : 0,
+    baseDelayMs: retry.baseDelayMs,
+    maxDelayMs: retry.maxDelayMs,
+    circuitBreaker: route.options.circuitBreaker === false
+      ? null
+      : { ...DEFAULT_CIRCUIT_BREAKER, ...route.options.circuitBreaker },
+  };
+}
+
+// 外部APIの呼び出し（プライマリが失敗またはサーキットオープンの場合はフェイルオーバー先へ）
+// buildUrl で接続先ごとのURLを組み立てる（パススルーモードのパス・クエリの付与）
+async function fetchUpstream(route, init, env, signal, buildUrl = target => target) {
+  const policy = getResiliencePolicy(route, init.method);
+  const targets = [route.upstream, route.options.failoverUpstream].filter(Boolean);
+  let lastError = null;
+
+  // ストリームのボディは一度しか送れないため、リトライと送信後のフェイルオーバーは行わない
+  const replayable = !(init.body instanceof ReadableStream);
+  if (!replayable) {
+    policy.retries = 0;
+  }
+  let sent = false;
+
+  for (let i = 0; i < targets.length; i++) {
+    const target = targets[i];
+    const isLastTarget = i === targets.length - 1;
+
+    const circuit = policy.circuitBreaker
+      ? await checkCircuit(target, policy.circuitBreaker, env)
+      : { allowed: true };
+    if (!circuit.allowed) {
+      lastError = new UpstreamError('circuit_open', 'Upstream is temporarily unavailable', 503, circuit.retryAfter);
+      continue;
+    }
+
+    try {
+      sent = true;
+      const response = await fetchWithUpstreamAuth(route, buildUrl(target), init, policy, env, signal, replayable);
+      const healthy = response.status < 500;
+
+      if (policy.circuitBreaker && (!healthy || circuit.dirty)) {
+        await recordCircuitResult(target, healthy, policy.circuitBreaker, env);
+      }
+
+      // 5xxが続く場合はフェイルオーバー先を試す
+      if (!healthy && !isLastTarget && replayable) {
+        if (response.body) {
+          await response.body.cancel();
+        }
+        lastError = new UpstreamError('upstream_error', `Upstream responded with ${response.status}`, 502);
+        continue;
+      }
+
+      return response;
+    } catch (error) {
+      // クライアントの切断による中断はそのまま伝える
+      if (signal && signal.aborted) {
+        throw error;
+      }
+      if (policy.circuitBreaker) {
+        await recordCircuitResult(target, false, policy.circuitBreaker, env);
+      }
+      if (!replayable && sent) {
+        throw error;
+      }
+      lastError = error;
+    }
+  }
+
+  throw lastError;
+}
+
+// 指数バックオフ（ジッター付き）によるリトライ。429/5xxはRetry-Afterを優先
+async function fetchWithRetries(url, init, policy, signal) {
+  for (let attempt = 0; ; attempt++) {
+    const canRetry = attempt < policy.retries;
+
+    let response;
+    try {
+      response = await fetchWithTimeout(url, init, policy.timeoutMs, signal);
+    } catch (error) {
+      if (!canRetry || (signal && signal.aborted)) {
+        throw error;
+      }
+      await sleep(getBackoffDelay(attempt, policy));
+      continue;
+    }
+
+    if (!canRetry || !RETRYABLE_STATUSES.includes(response.status)) {
+      return response;
+    }
+
+    const retryAfterMs = parseRetryAfter(response.headers.get('Retry-After'));
+    const delay = retryAfterMs ?? getBackoffDelay(attempt, policy);
+
+    // 待ち時間が長すぎる場合はリトライせずにそのまま返す
+    if (delay > policy.maxDelayMs) {
+      return response;
+    }
+
+    if (response.body) {
+      await response.body.cancel();
+    }
+    await sleep(delay);
+  }
+}
+
+// タイムアウト付きのfetch（レスポンスヘッダーの受信まで）
+async function fetchWithTimeout(url, init, timeoutMs, signal) {
+  const controller = new AbortController();
+  let timedOut = false;
+
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+
+  // クライアント切断時はボディの受信中でも中断する
+  // リスナーはボディのあるレスポンスを返す場合のみ残し、失敗した試行の分はリトライ毎に増えないよう外す
+  const onAbort = () => controller.abort();
+  if (signal) {
+    if (signal.aborted) {
+      controller.abort();
+    }
+    signal.addEventListener('abort', onAbort, { once: true });
+  }
+
+  let response = null;
+  try {
+    response = await fetch(url, { ...init, signal: controller.signal });
+    return response;
+  } catch (error) {
+    if (timedOut) {
+      throw new UpstreamError('upstream_timeout', 'Upstream request timed out', 504);
+    }
+    if (signal && signal.aborted) {
+      throw error;
+    }
+    throw new UpstreamError('upstream_error', 'Upstream request failed', 502);
+  } finally {
+    clearTimeout(timer);
+    if (signal && !(response && response.body)) {
+      signal.removeEventListener('abort', onAbort);
+    }
+  }
+}
+
+function getBackoffDelay(attempt, policy) {
+  const ceiling = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** attempt);
+  return Math.floor(Math.random() * ceiling);
+}
+
+// Retry-Afterヘッダー（秒数またはHTTP日付）をミリ秒に変換
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// クライアントへ引き継ぐ外部APIの Retry-After（秒、なければnull）
+function getUpstreamRetryAfter(response) {
+  const retryAfterMs = parseRetryAfter(response.headers.get('Retry-After'));
+  return retryAfterMs == null ? null : Math.max(1, Math.ceil(retryAfterMs / 1000));
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// サーキットブレーカー（CIRCUIT_BREAKER未設定時はアイソレート内のみで状態を保持）
+const localCircuits = new Map();
+
+async function checkCircuit(target, config, env) {
+  if (!env.CIRCUIT_BREAKER) {
+    const state = localCircuits.get(target) || createCircuitState();
+    const { result, next } = evaluateCircuit(state, config, Date.now());
+    localCircuits.set(target, next);
+    return result;
+  }
+
+  try {
+    return await callCircuitBreaker(env, target, 'check', { config });
+  } catch (error) {
+    logError('circuit_breaker_check_failed', error);
+    // 状態を確認できない場合は通す
+    return { allowed: true };
+  }
+}
+
+async function recordCircuitResult(target, success, config, env) {
+  if (!env.CIRCUIT_BREAKER) {
+    const state = localCircuits.get(target) || createCircuitState();
+    localCircuits.set(target, recordCircuit(state, success, config, Date.now()));
+    return;
+  }
+
+  try {
+    await callCircuitBreaker(env, target, 'record', { config, success });
+  } catch (error) {
+    logError('circuit_breaker_update_failed', error);
+  }
+}
+
+async function callCircuitBreaker(env, target, action, params) {
+  const stub = env.CIRCUIT_BREAKER.get(env.CIRCUIT_BREAKER.idFromName(target));
+  const response = await stub.fetch(`https://circuit-breaker/${action}`, {
+    method: 'POST',
+    body: JSON.stringify(params),
+  });
+
+  if (!response.ok) {
+    throw new Error(`Circuit breaker responded with ${response.status}`);
+  }
+
+  return await response.json();
+}
+
+function createCircuitState() {
+  return { status: 'closed', failures: 0, openedAt: null };
+}
+
+// 状態遷移: closed →（連続失敗が閾値に達する）→ open →（クールダウン経過）→ half-open（1件だけ試行）
+function evaluateCircuit(state, config, now) {
+  if (state.status === 'closed') {
+    return { result: { allowed: true, dirty: state.failures > 0 }, next: state };
+  }
+
+  const elapsed = now - state.openedAt;
+  if (elapsed < config.cooldownMs) {
+    return {
+      result: { allowed: false, retryAfter: Math.max(1, Math.ceil((config.cooldownMs - elapsed) / 1000)) },
+      next: state,
+    };
+  }
+
+  // クールダウン経過後は試行を1件だけ通し、結果が出るまで再びクールダウン扱いにする
+  return {
+    result: { allowed: true, dirty: true },
+    next: { ...state, status: 'half-open', openedAt: now },
+  };
+}
+
+function recordCircuit(state, success, config, now) {
+  if (success) {
+    return createCircuitState();
+  }
+
+  const failures = state.failures + 1;
+  if (state.status === 'half-open' || failures >= config.failureThreshold) {
+    return { status: 'open', failures, openedAt: now };
+  }
+
+  return { ...state, failures };
+}
+
+// サーキットブレーカー用Durable Object（外部API毎に1インスタンス、全アイソレートで状態を共有）
+export class CircuitBreaker {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+  }
+
+  async fetch(request) {
+    const action = new URL(request.url).pathname;
+    const { config, success } = await request.json();
+    const now = Date.now();
+    const current = await this.state.storage.get('circuit') || createCircuitState();
+
+    let result;
+    let next;
+    if (action === '/check') {
+      ({ result, next } = evaluateCircuit(current, config, now));
+    } else if (action === '/record') {
+      next = recordCircuit(current, success, config, now);
+      result = { status: next.status };
+    } else {
+      return new Response('Not Found', { status: 404 });
+    }
+
+    if (next !== current) {
+      await this.state.storage.put('circuit', next);
+    }
+
+    return new Response(JSON.stringify(result), {
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+}
+
+// 支出予算（全ユーザー合計の1日あたりのリクエスト数とコスト、UTCの日付で区切る）
+// 全体は BUDGETS 変数（JSON）、ルート毎は options.budget で設定
+const BUDGET_ACTIONS = ['refuse_anonymous_tokens', 'cache_only'];
+const DEFAULT_BUDGET_DEGRADE = [
+  { at: 0.8, action: 'refuse_anonymous_tokens' },
+  { at: 1, action: 'cache_only' },
+];
+const SPEND_USAGE_CACHE_MS = 5 * 1000;
+let spendUsageCache = null;
+// SPEND_BUDGET未設定時のアイソレート内の集計
+let localSpendUsage = null;
+
+function getGlobalBudget(env) {
+  if (!env.BUDGETS) {
+    return null;
+  }
+  return typeof env.BUDGETS === 'string' ? JSON.parse(env.BUDGETS) : env.BUDGETS;
+}
+
+// 予算の消費率に応じた縮退動作（全体とルートの予算で発動しているものをまとめる）
+// 匿名トークンの発行停止は全体の予算でのみ判定する
+async function getBudgetState(route, env) {
+  const now = Date.now();
+  const state = {
+    cacheOnly: false,
+    refuseAnonymousTokens: false,
+    retryAfter: Math.ceil((getNextBudgetDayStart(now) - now) / 1000),
+  };
+
+  const globalBudget = getGlobalBudget(env);
+  const routeBudget = route && route.options.budget;
+  if (!(globalBudget && globalBudget.daily) && !(routeBudget && routeBudget.daily)) {
+    return state;
+  }
+
+  const usage = await getSpendUsage(env);
+  if (!usage) {
+    // 集計を確認できない場合は通す
+    return state;
+  }
+
+  const evaluations = [];
+  if (globalBudget && globalBudget.daily) {
+    evaluations.push({ budget: globalBudget, usage: usage.global, scope: 'global' });
+  }
+  if (routeBudget && routeBudget.daily) {
+    evaluations.push({ budget: routeBudget, usage: usage.routes[route.name], scope: 'route' });
+  }
+
+  for (const { budget, usage: spent, scope } of evaluations) {
+    const ratio = getBudgetRatio(budget.daily, spent || { requests: 0, cost: 0 });
+    for (const step of budget.degrade || DEFAULT_BUDGET_DEGRADE) {
+      if (ratio < step.at) {
+        continue;
+      }
+      if (step.action === 'cache_only') {
+        state.cacheOnly = true;
+      } else if (step.action === 'refuse_anonymous_tokens' && scope === 'global') {
+        state.refuseAnonymousTokens = true;
+      }
+    }
+  }
+
+  return state;
+}
+
+// リクエスト数・コストのうち消費率の高い方
+function getBudgetRatio(daily, spent) {
+  return Math.max(
+    daily.requests ? spent.requests / daily.requests : 0,
+    daily.cost ? spent.cost / daily.cost : 0
+  );
+}
+
+// 外部APIの呼び出しを予算に計上（予算が設定されていない場合は何もしない）
+// requests には呼び出し回数を指定（WebSocketのメッセージ分のコストは0回として計上）
+async function recordSpend(route, cost, env, requests = 1) {
+  if (!getGlobalBudget(env) && !route.options.budget) {
+    return;
+  }
+
+  try {
+    let usage;
+    if (env.SPEND_BUDGET) {
+      usage = await callSpendBudget(env, 'record', { route: route.name, requests, cost });
+    } else {
+      localSpendUsage = addSpend(getLocalSpendUsage(), route.name, requests, cost);
+      usage = localSpendUsage;
+    }
+    spendUsageCache = { usage, fetchedAt: Date.now() };
+  } catch (error) {
+    logError('spend_budget_update_failed', error);
+  }
+}
+
+// 外部APIのレスポンスからコストを取り出す（options.budget.costPath、costScaleを掛けた値）
+function extractSpendCost(route, data) {
+  const budget = route.options.budget;
+  if (!budget || !budget.costPath || data === undefined) {
+    return 0;
+  }
+
+  const value = budget.costPath.split('.').reduce(
+    (current, key) => (current && typeof current === 'object' ? current[key] : undefined),
+    data
+  );
+  const cost = Number(value);
+  return Number.isFinite(cost) && cost > 0 ? cost * (budget.costScale || 1) : 0;
+}
+
+// レスポンスボディを読み込まないモードで1回の呼び出しに計上するコスト（options.budget.estimatedCost）
+function getEstimatedSpendCost(route) {
+  const cost = Number(route.options.budget && route.options.budget.estimatedCost);
+  return Number.isFinite(cost) && cost > 0 ? cost : 0;
+}
+
+// コストの予算があるのに、ストリーミング・パススルー・WebSocketのルートで計上するコストが設定されていない
+// （設定の確認で報告する。リクエストは止めず、呼び出し回数のみ計上する）
+function hasUnmeteredCostBudget(route, env) {
+  const globalBudget = getGlobalBudget(env);
+  const budget = route.options.budget || {};
+  const hasCostBudget = Boolean(
+    (globalBudget && globalBudget.daily && globalBudget.daily.cost) || (budget.daily && budget.daily.cost)
+  );
+  if (!hasCostBudget || !(route.options.stream || route.options.passthrough || route.options.websocket)) {
+    return false;
+  }
+
+  return !(budget.estimatedCost > 0 || (route.options.websocket && budget.messageCost > 0));
+}
+
+// 当日の集計（数秒間はアイソレート内にキャッシュ）
+async function getSpendUsage(env) {
+  const now = Date.now();
+  if (
+    spendUsageCache &&
+    now - spendUsageCache.fetchedAt < SPEND_USAGE_CACHE_MS &&
+    spendUsageCache.usage.day === getBudgetDay(now)
+  ) {
+    return spendUsageCache.usage;
+  }
+
+  let usage;
+  if (env.SPEND_BUDGET) {
+    try {
+      usage = await callSpendBudget(env, 'status', {});
+    } catch (error) {
+      logError('spend_budget_check_failed', error);
+      return null;
+    }
+  } else {
+    usage = getLocalSpendUsage();
+  }
+
+  spendUsageCache = { usage, fetchedAt: now };
+  return usage;
+}
+
+function getLocalSpendUsage() {
+  const day = getBudgetDay(Date.now());
+  if (!localSpendUsage || localSpendUsage.day !== day) {
+    localSpendUsage = createSpendUsage(day);
+  }
+  return localSpendUsage;
+}
+
+async function callSpendBudget(env, action, params) {
+  const stub = env.SPEND_BUDGET.get(env.SPEND_BUDGET.idFromName('global'));
+  const response = await stub.fetch(`https://spend-budget/${action}`, {
+    method: 'POST',
+    body: JSON.stringify(params),
+  });
+
+  if (!response.ok) {
+    throw new Error(`Spend budget responded with ${response.status}`);
+  }
+
+  return await response.json();
+}
+
+function getBudgetDay(now) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+function getNextBudgetDayStart(now) {
+  return (Math.floor(now / 86400000) + 1) * 86400000;
+}
+
+function createSpendUsage(day) {
+  return { day, global: { requests: 0, cost: 0 }, routes: {} };
+}
+
+function addSpend(usage, routeName, requests, cost) {
+  const route = usage.routes[routeName] || { requests: 0, cost: 0 };
+  return {
+    day: usage.day,
+    global: { requests: usage.global.requests + requests, cost: usage.global.cost + cost },
+    routes: {
+      ...usage.routes,
+      [routeName]: { requests: route.requests + requests, cost: route.cost + cost },
+    },
+  };
+}
+
+// 予算を使い切ったルートのレスポンス（翌日0時（UTC）まで）
+function buildBudgetExceededResponse(budgetState, responseHeaders) {
+  return new Response(
+    JSON.stringify({
+      error: 'Daily budget exhausted',
+      code: 'budget_exceeded',
+      retryAfter: budgetState.retryAfter
+    }),
+    {
+      status: 503,
+      headers: {
+        'Content-Type': 'application/json',
+        'Retry-After': budgetState.retryAfter.toString(),
+        ...responseHeaders,
+      },
+    }
+  );
+}
+
+// 支出予算の集計用Durable Object（全体で1インスタンス、当日分のみ保持）
+export class SpendBudget {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+  }
+
+  async fetch(request) {
+    const action = new URL(request.url).pathname;
+    const day = getBudgetDay(Date.now());
+
+    let usage = await this.state.storage.get('usage');
+    if (!usage || usage.day !== day) {
+      usage = createSpendUsage(day);
+    }
+
+    if (action === '/record') {
+      const { route, requests, cost } = await request.json();
+      usage = addSpend(usage, route, requests, cost);
+      await this.state.storage.put('usage', usage);
+    } else if (action !== '/status') {
+      return new Response('Not Found', { status: 404 });
+    }
+
+    return new Response(JSON.stringify(usage), {
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+}
+
+// ストリーミング中継の対象判定（ルート設定またはSSEのContent-Type）
+function isStreamingResponse(route, response) {
+  if (!response.body) {
+    return false;
+  }
+  if (route.options.stream) {
+    return true;
+  }
+
+  const contentType = response.headers.get('Content-Type') || '';
+  return contentType.includes('text/event-stream');
+}
+
+// 外部APIのレスポンスボディを到着順にクライアントへ中継
+function streamApiResponse(externalResponse, userId, env, ctx, upstreamController, corsHeaders) {
+  let streamedBytes = 0;
+
+  const { readable, writable } = new TransformStream({
+    transform(chunk, controller) {
+      streamedBytes += chunk.byteLength;
+      controller.enqueue(chunk);
+    },
+    flush() {
+      ctx.waitUntil(recordStreamUsage(userId, streamedBytes, env));
+    },
+  });
+
+  // クライアントが切断するとpipeToが失敗するため、外部APIへのリクエストを中断
+  ctx.waitUntil(
+    externalResponse.body.pipeTo(writable).catch(error => {
+      upstreamController.abort();
+      logError('stream_relay_aborted', error);
+      return recordStreamUsage(userId, streamedBytes, env);
+    })
+  );
+
+  return new Response(readable, {
+    status: externalResponse.status,
+    headers: {
+      'Content-Type': externalResponse.headers.get('Content-Type') || 'application/octet-stream',
+      'Cache-Control': 'no-cache',
+      ...corsHeaders,
+    },
+  });
+}
+
+// 外部APIへ送るヘッダーの組み立て（認証情報は fetchUpstream で接続先毎に付与）
+// パススルーモードではContent-Typeをクライアントのものに任せるため contentType に null を渡す
+function buildUpstreamHeaders(route, contentType = 'application/json') {
+  return {
+    ...(contentType ? { 'Content-Type': contentType } : {}),
+    'User-Agent': 'CloudflareWorkers/1.0',
+    ...route.options.headers,
+  };
+}
+
+// 外部APIの認証方式（ルートの auth、未指定で credential がある場合は bearer）
+const UPSTREAM_AUTH_TYPES = ['bearer', 'header', 'query', 'basic', 'hmac', 'client_credentials'];
+const DEFAULT_UPSTREAM_KEY_COOLDOWN_MS = 60 * 1000;
+const DEFAULT_UPSTREAM_KEY_UNAUTHORIZED_COOLDOWN_MS = 15 * 60 * 1000;
+const CLIENT_CREDENTIALS_REFRESH_MARGIN_MS = 60 * 1000;
+const CLIENT_CREDENTIALS_TIMEOUT_MS = 5 * 1000;
+
+// キープールの状態（アイソレート毎）
+const upstreamKeyCursors = new Map();
+const upstreamKeyCooldowns = new Map();
+// client_credentialsで取得したアクセストークン（アイソレート毎、取得中のリクエストは共有）
+const clientCredentialsTokens = new Map();
+const clientCredentialsRequests = new Map();
+
+function normalizeUpstreamAuth(entry) {
+  const config = entry.auth || (entry.credential ? { type: 'bearer', credential: entry.credential } : null);
+  if (!config) {
+    return null;
+  }
+
+  const type = config.type || 'bearer';
+  if (!UPSTREAM_AUTH_TYPES.includes(type)) {
+    throw new Error(`Unsupported upstream auth type: ${type}`);
+  }
+
+  const credentials = config.credentials || (config.credential ? [config.credential] : []);
+  if (credentials.length === 0) {
+    throw new Error(`Missing credential for route: ${entry.prefix}`);
+  }
+  if (type === 'client_credentials' && !config.tokenUrl) {
+    throw new Error(`Missing tokenUrl for route: ${entry.prefix}`);
+  }
+
+  return { ...config, type, credentials };
+}
+
+// 認証情報を付与して外部APIを呼び出す
+// キーが401・429を返した場合はローテーションから外し、ボディを再送できれば次のキーで再試行する
+async function fetchWithUpstreamAuth(route, url, init, policy, env, signal, replayable) {
+  const auth = route.auth;
+  if (!auth) {
+    return fetchWithRetries(url, init, policy, signal);
+  }
+
+  // client_credentialsはトークンの再取得のみで回復する場合があるため1回多く試す
+  const maxAttempts = replayable
+    ? auth.credentials.length + (auth.type === 'client_credentials' ? 1 : 0)
+    : 1;
+
+  for (let attempt = 1; ; attempt++) {
+    const keyName = selectUpstreamKey(route, auth);
+    const authorized = await applyUpstreamAuth(auth, keyName, url, init, env);
+    const response = await fetchWithRetries(authorized.url, authorized.init, policy, signal);
+
+    if (response.status !== 401 && response.status !== 429) {
+      return response;
+    }
+
+    reportUpstreamKeyFailure(route, auth, keyName, response);
+    if (attempt >= maxAttempts) {
+      return response;
+    }
+    if (response.body) {
+      await response.body.cancel();
+    }
+  }
+}
+
+// ラウンドロビンでキーを選択（ローテーションから外れたキーは飛ばし、全キーが外れている場合は最も早く戻るキー）
+function selectUpstreamKey(route, auth) {
+  const names = auth.credentials;
+  const now = Date.now();
+  const start = upstreamKeyCursors.get(route.name) || 0;
+
+  for (let i = 0; i < names.length; i++) {
+    const index = (start + i) % names.length;
+    if ((upstreamKeyCooldowns.get(names[index]) || 0) <= now) {
+      upstreamKeyCursors.set(route.name, index + 1);
+      return names[index];
+    }
+  }
+
+  return names.reduce((soonest, name) =>
+    upstreamKeyCooldowns.get(name) < upstreamKeyCooldowns.get(soonest) ? name : soonest
+  );
+}
+
+// 401・429を返したキーを一定時間ローテーションから外す（429はRetry-Afterを優先）
+function reportUpstreamKeyFailure(route, auth, keyName, response) {
+  if (auth.type === 'client_credentials' && response.status === 401) {
+    // 失効したトークンを捨て、次回は取得し直す（キー自体の問題かは再取得で判明する）
+    const cacheKey = getClientCredentialsCacheKey(auth, keyName);
+    if (clientCredentialsTokens.has(cacheKey)) {
+      clientCredentialsTokens.delete(cacheKey);
+      return;
+    }
+  }
+
+  const cooldownMs = response.status === 429
+    ? parseRetryAfter(response.headers.get('Retry-After')) ?? (auth.cooldownMs || DEFAULT_UPSTREAM_KEY_COOLDOWN_MS)
+    : (auth.unauthorizedCooldownMs || DEFAULT_UPSTREAM_KEY_UNAUTHORIZED_COOLDOWN_MS);
+
+  upstreamKeyCooldowns.set(keyName, Date.now() + cooldownMs);
+  writeLogLine({
+    level: 'error',
+    event: 'upstream_key_cooldown',
+    route: route.name,
+    key: keyName,
+    upstreamStatus: response.status,
+    cooldownSeconds: Math.ceil(cooldownMs / 1000),
+  });
+}
+
+// 認証方式に従ってURLとヘッダーに認証情報を付与
+async function applyUpstreamAuth(auth, keyName, url, init, env) {
+  const secret = env[keyName];
+  if (!secret) {
+    throw new Error(`Credential binding "${keyName}" is not configured`);
+  }
+
+  const headers = { ...init.headers };
+
+  switch (auth.type) {
+    case 'bearer':
+      headers['Authorization'] = `Bearer ${secret}`;
+      break;
+
+    case 'header':
+      headers[auth.header || 'X-Api-Key'] = `${auth.prefix || ''}${secret}`;
+      break;
+
+    case 'query': {
+      const target = new URL(url);
+      target.searchParams.set(auth.param || 'api_key', secret);
+      url = target.toString();
+      break;
+    }
+
+    case 'basic':
+      // シークレットは "ユーザー名:パスワード" 形式
+      headers['Authorization'] = `Basic ${encodeBase64(secret)}`;
+      break;
+
+    case 'hmac':
+      Object.assign(headers, await signUpstreamRequest(auth, secret, url, init));
+      break;
+
+    case 'client_credentials':
+      headers['Authorization'] = `Bearer ${await getClientCredentialsToken(auth, keyName, secret)}`;
+      break;
+  }
+
+  return { url, init: { ...init, headers } };
+}
+
+// HMAC-SHA256による署名（メソッド・パスとクエリ・タイムスタンプ・ボディのSHA-256を改行で連結）
+// ストリームのボディはハッシュを計算できないため "UNSIGNED-PAYLOAD" を使う
+async function signUpstreamRequest(auth, secret, url, init) {
+  const target = new URL(url);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+
+  let bodyHash = 'UNSIGNED-PAYLOAD';
+  if (!(init.body instanceof ReadableStream)) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(init.body || ''));
+    bodyHash = Array.from(new Uint8Array(digest))
+      .map(b => b.toString(16).padStart(2, '0'))
+      .join('');
+  }
+
+  const canonical = [init.method, `${target.pathname}${target.search}`, timestamp, bodyHash].join('\n');
+  const key = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const signature = new Uint8Array(await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(canonical)));
+
+  return {
+    [auth.timestampHeader || 'X-Timestamp']: timestamp,
+    [auth.signatureHeader || 'X-Signature']: auth.encoding === 'base64'
+      ? btoa(String.fromCharCode(...signature))
+      : Array.from(signature).map(b => b.toString(16).padStart(2, '0')).join(''),
+  };
+}
+
+function getClientCredentialsCacheKey(auth, keyName) {
+  return [auth.tokenUrl, keyName, auth.scope || '', auth.audience || ''].join('\n');
+}
+
+// OAuth2 client_credentialsのアクセストークン（期限の少し前に取得し直す）
+async function getClientCredentialsToken(auth, keyName, secret) {
+  const cacheKey = getClientCredentialsCacheKey(auth, keyName);
+  const cached = clientCredentialsTokens.get(cacheKey);
+  if (cached && Date.now() < cached.refreshAt) {
+    return cached.accessToken;
+  }
+
+  if (!clientCredentialsRequests.has(cacheKey)) {
+    const pending = requestClientCredentialsToken(auth, secret)
+      .then(token => {
+        clientCredentialsTokens.set(cacheKey, token);
+        return token.accessToken;
+      })
+      .finally(() => clientCredentialsRequests.delete(cacheKey));
+    clientCredentialsRequests.set(cacheKey, pending);
+  }
+
+  return clientCredentialsRequests.get(cacheKey);
+}
+
+async function requestClientCredentialsToken(auth, secret) {
+  // シークレットは "client_id:client_secret" 形式
+  const separator = secret.indexOf(':');
+  const clientId = secret.slice(0, separator);
+  const clientSecret = secret.slice(separator + 1);
+
+  const form = new URLSearchParams({ grant_type: 'client_credentials' });
+  if (auth.scope) {
+    form.set('scope', auth.scope);
+  }
+  if (auth.audience) {
+    form.set('audience', auth.audience);
+  }
+
+  const headers = {
+    'Content-Type': 'application/x-www-form-urlencoded',
+    'Accept': 'application/json',
+  };
+  if (auth.tokenAuthMethod === 'client_secret_post') {
+    form.set('client_id', clientId);
+    form.set('client_secret', clientSecret);
+  } else {
+    headers['Authorization'] = `Basic ${encodeBase64(`${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`)}`;
+  }
+
+  const response = await fetchWithTimeout(auth.tokenUrl, {
+    method: 'POST',
+    headers,
+    body: form.toString(),
+  }, CLIENT_CREDENTIALS_TIMEOUT_MS);
+
+  const data = response.ok ? await response.json().catch(() => null) : null;
+  if (!data || typeof data.access_token !== 'string') {
+    writeLogLine({ level: 'error', event: 'client_credentials_failed', tokenUrl: auth.tokenUrl, upstreamStatus: response.status });
+    throw new UpstreamError('upstream_auth_failed', 'Failed to obtain upstream access token', 502);
+  }
+
+  // 有効期限の60秒前（短いトークンは有効期間の半分）で取得し直す
+  const lifetimeMs = (Number(data.expires_in) || 300) * 1000;
+  return {
+    accessToken: data.access_token,
+    refreshAt: Date.now() + Math.max(lifetimeMs - CLIENT_CREDENTIALS_REFRESH_MARGIN_MS, lifetimeMs / 2),
+  };
+}
+
+// UTF-8文字列のbase64
+function encodeBase64(text) {
+  let binary = '';
+  for (const byte of new TextEncoder().encode(text)) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary);
+}
+
+// メンテナンスモード（CONFIG_KVのキー "maintenance"、再デプロイなしで切り替え）
+// 値は { "enabled": true, "message": "...", "retryAfter": 600, "routes": ["search"] }（routes省略時は全体）
+const MAINTENANCE_CACHE_MS = 10 * 1000;
+let maintenanceCache = null;
+
+async function getMaintenanceState(env) {
+  if (!env.CONFIG_KV) {
+    return null;
+  }
+
+  const now = Date.now();
+  if (maintenanceCache && now - maintenanceCache.loadedAt < MAINTENANCE_CACHE_MS) {
+    return maintenanceCache.state;
+  }
+
+  let state = null;
+  try {
+    const value = await env.CONFIG_KV.get('maintenance', 'json');
+    state = value && value.enabled ? value : null;
+  } catch (error) {
+    logError('maintenance_check_failed', error);
+  }
+
+  maintenanceCache = { state, loadedAt: now };
+  return state;
+}
+
+// ルートテーブル（ROUTES変数 → CONFIG_KV の順に参照し、未設定時は従来の単一ルート）
+// ROUTES変数は元の文字列（オブジェクトの場合は参照）毎に解析結果をアイソレート内で再利用
+const ROUTE_TABLE_CACHE_MS = 60 * 1000;
+// CONFIG_KVにルートテーブルがない場合も、毎回KVを読まないよう短時間キャッシュ
+const ROUTE_TABLE_MISS_CACHE_MS = 10 * 1000;
+let routeTableCache = null;
+let parsedRouteTable = null;
+let defaultRouteTableCache = null;
+// 最後に報告した設定の問題（JSON、変わったときだけ構造化ログに出力）
+let reportedConfiguration = '[]';
+
+async function loadRouteTable(env) {
+  const routes = await readRouteTable(env);
+  reportConfigurationProblems(routes, env);
+  return routes;
+}
+
+async function readRouteTable(env) {
+  if (env.ROUTES) {
+    return parseRouteTable(env.ROUTES);
+  }
+
+  if (env.CONFIG_KV) {
+    const now = Date.now();
+    if (routeTableCache && now - routeTableCache.loadedAt < routeTableCache.ttl) {
+      return routeTableCache.routes || defaultRouteTable(env);
+    }
+
+    const config = await env.CONFIG_KV.get('routes', 'json');
+    const routes = config ? normalizeRouteTable(config) : null;
+    routeTableCache = {
+      routes,
+      loadedAt: now,
+      ttl: routes ? ROUTE_TABLE_CACHE_MS : ROUTE_TABLE_MISS_CACHE_MS,
+    };
+    if (routes) {
+      return routes;
+    }
+  }
+
+  return defaultRouteTable(env);
+}
+
+function parseRouteTable(source) {
+  if (parsedRouteTable && parsedRouteTable.source === source) {
+    return parsedRouteTable.routes;
+  }
+
+  const config = typeof source === 'string' ? JSON.parse(source) : source;
+  const routes = normalizeRouteTable(config);
+  parsedRouteTable = { source, routes };
+  return routes;
+}
+
+function defaultRouteTable(env) {
+  if (defaultRouteTableCache && defaultRouteTableCache.upstream === env.EXTERNAL_API_URL) {
+    return defaultRouteTableCache.routes;
+  }
+
+  const routes = normalizeRouteTable([{
+    name: 'external-service',
+    prefix: '/api/external-service',
+    upstream: env.EXTERNAL_API_URL,
+    methods: ['POST'],
+    credential: 'EXTERNAL_API_KEY',
+  }]);
+  defaultRouteTableCache = { upstream: env.EXTERNAL_API_URL, routes };
+  return routes;
+}
+
+// ルートテーブルと環境変数の組み合わせの問題（リクエストは止めず、報告のみ）
+function findConfigurationProblems(routes, env) {
+  const problems = [];
+  if (!env.NONCE_STORE && DPOP_MODES.includes(env.DPOP_MODE) && env.DPOP_MODE !== 'off') {
+    problems.push({
+      code: 'nonce_store_missing',
+      message: `DPOP_MODE "${env.DPOP_MODE}" requires NONCE_STORE; requests with DPoP proofs fail until it is bound`,
+    });
+  }
+  if (!env.NONCE_STORE && env.REQUEST_SIGNING_SECRET) {
+    problems.push({
+      code: 'nonce_store_missing',
+      message: 'REQUEST_SIGNING_SECRET requires NONCE_STORE; signing keys are not issued and signed requests fail until it is bound',
+    });
+  }
+  if (!env.NONCE_STORE && getProofOfWorkDifficulty(env) > 0) {
+    problems.push({
+      code: 'nonce_store_missing',
+      message: 'TOKEN_POW_DIFFICULTY is set without NONCE_STORE; used challenges are recorded in TOKEN_KV and can be replayed until it propagates',
+    });
+  }
+  if (!env.JOBS_KV && !getMemoryJobStore(env) && routes.some(route => route.options.async)) {
+    problems.push({
+      code: 'jobs_kv_missing',
+      message: 'JOB_QUEUE requires JOBS_KV; async routes reject jobs until it is bound',
+    });
+  }
+  for (const route of routes) {
+    if (route.options.requireSignature && !isRequestSigningEnabled(env)) {
+      problems.push({
+        code: 'signing_unavailable',
+        route: route.name,
+        message: 'Route requires signed requests but signing needs REQUEST_SIGNING_SECRET and NONCE_STORE',
+      });
+    }
+    if (hasUnmeteredCostBudget(route, env)) {
+      problems.push({
+        code: 'budget_unmetered',
+        route: route.name,
+        message: 'Cost budget applies but the route does not read response costs; set options.budget.estimatedCost',
+      });
+    }
+  }
+  return problems;
+}
+
+// 設定の問題を構造化ログに出力（内容が変わったときのみ、アイソレート内で同じ問題は1回だけ）
+function reportConfigurationProblems(routes, env) {
+  const problems = findConfigurationProblems(routes, env);
+  const signature = JSON.stringify(problems);
+  if (signature === reportedConfiguration) {
+    return;
+  }
+  reportedConfiguration = signature;
+
+  if (problems.length > 0) {
+    writeLogLine({ level: 'error', event: 'configuration_problems', problems });
+  }
+}
+
+// ルート定義の検証と既定値の補完
+function normalizeRouteTable(config) {
+  const entries = Array.isArray(config) ? config : config.routes;
+  if (!Array.isArray(entries)) {
+    throw new Error('Route table must be an array of routes');
+  }
+
+  return entries.map(entry => {
+    if (!entry.prefix || !entry.prefix.startsWith('/')) {
+      throw new Error(`Invalid route prefix: ${entry.prefix}`);
+    }
+    if (!entry.upstream) {
+      throw new Error(`Missing upstream for route: ${entry.prefix}`);
+    }
+
+    return {
+      name: entry.name || entry.prefix,
+      prefix: entry.prefix.replace(/\/+$/, ''),
+      upstream: entry.upstream,
+      methods: (entry.methods || ['POST']).map(method => method.toUpperCase()),
+      auth: normalizeUpstreamAuth(entry),
+      options: entry.options || {},
+    };
+  });
+}
+
+// パスに一致するルートの検索（最長プレフィックス一致）
+function matchRoute(routes, path) {
+  let matched = null;
+
+  for (const route of routes) {
+    if (path !== route.prefix && !path.startsWith(`${route.prefix}/`)) {
+      continue;
+    }
+    if (!matched || route.prefix.length > matched.prefix.length) {
+      matched = route;
+    }
+  }
+
+  return matched;
+}
+
+// ユーザー認証の確認（匿名トークン・アカウント連携済みトークン）
+// maxBodyBytes は署名の検証でボディを読むときの上限
+async function authenticateUser(request, env, maxBodyBytes = DEFAULT_MAX_BODY_BYTES) {
+  const authorization = parseAuthorizationHeader(request.headers.get('Authorization'));
+
+  if (!authorization) {
     return { success: false, error: 'Missing or invalid authorization header' };
   }
 
-  const token = authHeader.substring(7);
+  const authResult = await authenticateAccessToken(authorization.token, env, {
+    scheme: authorization.scheme,
+    proof: request.headers.get('DPoP'),
+    method: request.method,
+    url: request.url,
+  });
+  if (!authResult.success) {
+    return authResult;
+  }
+
+  // 署名ヘッダーがある場合のみ検証（署名を必須にするかはルートの options.requireSignature で判断）
+  if (!request.headers.has('X-Signature')) {
+    return { ...authResult, signed: false };
+  }
+
+  const signatureResult = await verifyRequestSignature(request, authResult, env, maxBodyBytes);
+  if (!signatureResult.success) {
+    return signatureResult;
+  }
+
+  return { ...authResult, signed: true };
+}
+
+// 認証の失敗のリクエストログでの分類
+function getAuthErrorClass(status) {
+  switch (status) {
+    case 403: return 'user_blocked';
+    case 413: return 'payload_too_large';
+    case 500: return 'configuration_error';
+    default: return 'unauthorized';
+  }
+}
+
+// Authorization ヘッダーの解析（Bearer と、DPoPで束縛されたトークン用の DPoP スキーム）
+function parseAuthorizationHeader(value) {
+  const match = /^(Bearer|DPoP) (\S+)$/.exec(value || '');
+  return match ? { scheme: match[1], token: match[2] } : null;
+}
+
+// アクセストークンの検証とブロック・プランの確認（WebSocketのハンドシェイクからも使用）
+// binding は { scheme, proof, method, url }（DPoPの証明の検証に使用）
+async function authenticateAccessToken(token, env, binding = null) {
+  try {
+    // アクセストークンの検証
+    const payload = await verifyAccessToken(token, env);
+
+    // DPoPで束縛されたトークンは同じ鍵の証明がある場合のみ受け付ける
+    const bindingError = await checkTokenBinding(payload, token, binding, env);
+    if (bindingError) {
+      return { success: false, ...bindingError };
+    }
+
+    // 管理APIで設定されたブロック・プランとクォータの上書き
+    const controls = await getUserControls(payload.userId, env);
+    if (controls.blocked) {
+      return { success: false, status: 403, error: 'User is blocked' };
+    }
+
+    return {
+      success: true,
+      userId: payload.userId,
+      isAnonymous: payload.type === 'anonymous',
+      tokenType: payload.type,
+      familyId: payload.fid,
+      plan: resolvePlanName(controls.plan || payload.plan, env),
+      quotaOverrides: controls.quotas || {},
+      issuedAt: payload.iat,
+      expiresAt: payload.exp,
+      jkt: payload.cnf ? payload.cnf.jkt : null
+    };
+  } catch (error) {
+    return { success: false, error: 'Invalid or expired token' };
+  }
+}
+
+// DPoP（端末の鍵によるトークンの所持証明）
+// DPOP_MODE: "optional"（証明を付けたクライアントのトークンのみ束縛）・"required"（束縛されたトークンのみ受け付ける）・"off"（束縛しない）
+// 未設定時は NONCE_STORE があれば "optional"、なければ "off"（証明のjtiの再送検知は NONCE_STORE でのみ行う）
+const DPOP_MODES = ['optional', 'required', 'off'];
+// 証明のiatの許容範囲（時刻のずれを含む）
+const DPOP_PROOF_WINDOW_SECONDS = 5 * 60;
+
+function getDpopMode(env) {
+  if (DPOP_MODES.includes(env.DPOP_MODE)) {
+    return env.DPOP_MODE;
+  }
+  return env.NONCE_STORE ? 'optional' : 'off';
+}
+
+// トークンの束縛の確認（エラー時は { status, error }、問題なければnull）
+async function checkTokenBinding(payload, token, binding, env) {
+  const jkt = payload.cnf ? payload.cnf.jkt : null;
+  const invalid = error => ({ status: 401, error });
+
+  if (!jkt) {
+    if (getDpopMode(env) === 'required') {
+      return invalid('DPoP-bound token required');
+    }
+    // 束縛されていないトークンを DPoP スキームで送るのは不正な組み合わせ
+    return binding && binding.scheme === 'DPoP' ? invalid('Invalid DPoP proof') : null;
+  }
+
+  // 束縛されたトークンをBearerとして使うことはできない（盗まれたトークンの流用を防ぐ）
+  if (!binding || binding.scheme !== 'DPoP' || !binding.proof) {
+    return invalid('DPoP proof required');
+  }
+
+  const result = await verifyDpopProof(binding.proof, binding.method, binding.url, env, token);
+  if (!result.success) {
+    return { status: result.status || 401, error: result.error };
+  }
+  if (result.jkt !== jkt) {
+    return invalid('DPoP key mismatch');
+  }
+
+  return null;
+}
+
+// トークンの発行・更新リクエストの証明（証明がない場合は束縛なし、DPOP_MODE=required では拒否）
+async function resolveTokenBinding(request, env) {
+  const mode = getDpopMode(env);
+  const proof = request.headers.get('DPoP');
+
+  if (mode === 'off') {
+    return { jkt: null };
+  }
+  if (!proof) {
+    return mode === 'required'
+      ? { error: 'DPoP proof required', code: 'dpop_required' }
+      : { jkt: null };
+  }
+
+  const result = await verifyDpopProof(proof, request.method, request.url, env);
+  if (!result.success) {
+    return result.status === 500
+      ? { error: result.error, code: 'configuration_error', status: 500 }
+      : { error: result.error, code: 'invalid_dpop_proof' };
+  }
+  return { jkt: result.jkt };
+}
+
+// 証明のJWT（typ: dpop+jwt、ES256、ヘッダーに公開鍵のjwk）の検証
+// htm・htu（クエリを除くURL）・iat・jti と、アクセストークンを伴う場合は ath（トークンのSHA-256）を確認する
+async function verifyDpopProof(proof, method, url, env, accessToken = null) {
+  const invalid = { success: false, error: 'Invalid DPoP proof' };
+
+  // DPOP_MODE を明示して NONCE_STORE がない設定では再送を検知できないため、証明を伴うリクエストのみ失敗させる
+  if (!env.NONCE_STORE) {
+    return { success: false, status: 500, error: 'DPoP is not available' };
+  }
+
+  let header;
+  let payload;
+  let key;
+  try {
+    const parts = proof.split('.');
+    if (parts.length !== 3 || parts.some(part => !part)) {
+      return invalid;
+    }
+
+    header = decodeJwtSegment(parts[0]);
+    payload = decodeJwtSegment(parts[1]);
+    const { jwk } = header;
+    if (header.typ !== 'dpop+jwt' || header.alg !== 'ES256' || !jwk || jwk.d !== undefined
+      || jwk.kty !== 'EC' || jwk.crv !== 'P-256') {
+      return invalid;
+    }
+
+    key = await crypto.subtle.importKey(
+      'jwk',
+      { kty: jwk.kty, crv: jwk.crv, x: jwk.x, y: jwk.y },
+      JWT_ALGORITHMS.ES256.importParams,
+      false,
+      ['verify']
+    );
+    const isValid = await crypto.subtle.verify(
+      JWT_ALGORITHMS.ES256.signParams,
+      key,
+      base64UrlDecode(parts[2]),
+      new TextEncoder().encode(`${parts[0]}.${parts[1]}`)
+    );
+    if (!isValid) {
+      return invalid;
+    }
+  } catch (error) {
+    return invalid;
+  }
+
+  const target = new URL(url);
+  const now = Math.floor(Date.now() / 1000);
+  if (payload.htm !== method || payload.htu !== `${target.origin}${target.pathname}`) {
+    return invalid;
+  }
+  if (typeof payload.iat !== 'number' || Math.abs(now - payload.iat) > DPOP_PROOF_WINDOW_SECONDS) {
+    return { success: false, error: 'DPoP proof is outside the allowed window' };
+  }
+  if (typeof payload.jti !== 'string' || !REQUEST_SIGNATURE_NONCE_PATTERN.test(payload.jti)) {
+    return invalid;
+  }
+
+  if (accessToken) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(accessToken));
+    if (payload.ath !== base64UrlEncode(new Uint8Array(digest))) {
+      return invalid;
+    }
+  }
+
+  const jkt = await computeJwkThumbprint(header.jwk);
+
+  // 同じ証明の再利用は拒否（jtiを許容範囲を過ぎるまで記録）
+  if (!(await consumeNonce(`dpop:${jkt}`, payload.jti, (payload.iat + DPOP_PROOF_WINDOW_SECONDS) * 1000, env))) {
+    return { success: false, error: 'DPoP proof replayed' };
+  }
+
+  return { success: true, jkt };
+}
+
+// JWKのサムプリント（RFC 7638、EC鍵の必須メンバーを辞書順に並べたJSONのSHA-256）
+async function computeJwkThumbprint(jwk) {
+  const canonical = JSON.stringify({ crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y });
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(canonical));
+  return base64UrlEncode(new Uint8Array(digest));
+}
+
+// リクエスト署名（署名鍵はトークンファミリー毎に REQUEST_SIGNING_SECRET から導出し、トークンと一緒に発行）
+// 署名対象は「メソッド\nパス+クエリ\nタイムスタンプ（秒）\nnonce\nボディのSHA-256（16進）」のHMAC-SHA256
+const DEFAULT_REQUEST_SIGNATURE_SKEW_SECONDS = 5 * 60;
+const REQUEST_SIGNATURE_NONCE_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+
+// 署名の検証には REQUEST_SIGNING_SECRET と、nonceの再送検知のための NONCE_STORE の両方が必要
+function isRequestSigningEnabled(env) {
+  return Boolean(env.REQUEST_SIGNING_SECRET && env.NONCE_STORE);
+}
+
+async function verifyRequestSignature(request, authResult, env, maxBodyBytes) {
+  const invalid = error => ({ success: false, status: 401, error });
+
+  // NONCE_STORE がない設定では再送を検知できないため、署名付きのリクエストのみ失敗させる
+  if (env.REQUEST_SIGNING_SECRET && !env.NONCE_STORE) {
+    return { success: false, status: 500, error: 'Request signing is not available' };
+  }
+  if (!env.REQUEST_SIGNING_SECRET || !authResult.familyId) {
+    return invalid('Invalid request signature');
+  }
+
+  const timestamp = parseInt(request.headers.get('X-Signature-Timestamp'), 10);
+  const nonce = request.headers.get('X-Signature-Nonce') || '';
+  if (Number.isNaN(timestamp) || !REQUEST_SIGNATURE_NONCE_PATTERN.test(nonce)) {
+    return invalid('Invalid request signature');
+  }
+
+  // 時刻のずれの許容範囲外（古い・未来の）リクエストは拒否
+  const skew = parseInt(env.REQUEST_SIGNATURE_SKEW_SECONDS, 10) || DEFAULT_REQUEST_SIGNATURE_SKEW_SECONDS;
+  const now = Math.floor(Date.now() / 1000);
+  if (Math.abs(now - timestamp) > skew) {
+    return invalid('Request timestamp is outside the allowed window');
+  }
+
+  let signature;
+  try {
+    signature = base64UrlDecode(request.headers.get('X-Signature'));
+  } catch (error) {
+    return invalid('Invalid request signature');
+  }
+
+  // ボディは後続の処理で読むため複製から読む（上限を超えた時点で打ち切る）
+  const hasBody = request.method !== 'GET' && request.method !== 'HEAD';
+  const body = hasBody ? await readBodyBytesWithLimit(request.clone(), maxBodyBytes) : new Uint8Array(0);
+  if (body === null) {
+    return { success: false, status: 413, error: 'Request body too large' };
+  }
+  const bodyHash = Array.from(new Uint8Array(await crypto.subtle.digest('SHA-256', body)))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('');
+
+  const url = new URL(request.url);
+  const canonical = [request.method, `${url.pathname}${url.search}`, timestamp, nonce, bodyHash].join('\n');
+  const key = await crypto.subtle.importKey(
+    'raw',
+    await deriveSigningKey(authResult.familyId, env),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['verify']
+  );
+  if (!(await crypto.subtle.verify('HMAC', key, signature, new TextEncoder().encode(canonical)))) {
+    return invalid('Invalid request signature');
+  }
+
+  // 署名が正しくても使用済みのnonceは再送として拒否（許容範囲を過ぎるまで記録）
+  if (!(await consumeNonce(authResult.userId, nonce, (timestamp + skew) * 1000, env))) {
+    return invalid('Replayed request');
+  }
+
+  return { success: true };
+}
+
+// トークンファミリーの署名鍵（ファミリーIDのHMAC、ローテーション後も同じファミリーなら同じ鍵）
+async function deriveSigningKey(familyId, env) {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(env.REQUEST_SIGNING_SECRET),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  return new Uint8Array(await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(`request-signing:${familyId}`)));
+}
+
+// nonceの記録（未使用ならtrue）。NONCE_STORE のない設定では呼び出し元で署名・DPoPの証明を受け付けない
+async function consumeNonce(scope, nonce, expiresAt, env) {
+  if (!env.NONCE_STORE) {
+    throw new Error('NONCE_STORE is not configured');
+  }
+
+  const stub = env.NONCE_STORE.get(env.NONCE_STORE.idFromName(scope));
+  const response = await stub.fetch('https://nonce-store/consume', {
+    method: 'POST',
+    body: JSON.stringify({ nonce, expiresAt }),
+  });
+  if (!response.ok) {
+    throw new Error(`Nonce store responded with ${response.status}`);
+  }
+  return (await response.json()).fresh;
+}
+
+// 使用済みnonce・DPoPの証明・プルーフオブワークのチャレンジのjtiの記録（スコープ＝ユーザー・端末鍵・チャレンジ毎に1インスタンス、期限切れのものはアラームで削除）
+export class NonceStore {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+  }
+
+  async fetch(request) {
+    if (new URL(request.url).pathname !== '/consume') {
+      return new Response('Not Found', { status: 404 });
+    }
+
+    const { nonce, expiresAt } = await request.json();
+    const key = `nonce:${nonce}`;
+    const fresh = (await this.state.storage.get(key)) === undefined;
+    if (fresh) {
+      await this.state.storage.put(key, expiresAt);
+      const alarm = await this.state.storage.getAlarm();
+      if (alarm === null || expiresAt < alarm) {
+        await this.state.storage.setAlarm(expiresAt);
+      }
+    }
+
+    return new Response(JSON.stringify({ fresh }), {
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+
+  async alarm() {
+    const now = Date.now();
+    const entries = await this.state.storage.list({ prefix: 'nonce:' });
+    const expired = [];
+    let next = null;
+    for (const [key, expiresAt] of entries) {
+      if (expiresAt <= now) {
+        expired.push(key);
+      } else if (next === null || expiresAt < next) {
+        next = expiresAt;
+      }
+    }
+
+    if (expired.length > 0) {
+      await this.state.storage.delete(expired);
+    }
+    if (next !== null) {
+      await this.state.storage.setAlarm(next);
+    }
+  }
+}
+
+// 匿名ユーザーID生成
+async function generateAnonymousUserId() {
+  const timestamp = Date.now().toString();
+  const randomBytes = new Uint8Array(16);
+  crypto.getRandomValues(randomBytes);
+  const randomHex = Array.from(randomBytes)
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('');
+
+  return `anon_${timestamp}_${randomHex}`;
+}
+
+// トークン発行数の制限（発行元IP単位とネットワーク単位）
+// TOKEN_ISSUANCE_LIMITS変数（JSON）で上書き可能
+const DEFAULT_TOKEN_ISSUANCE_LIMITS = {
+  ip: { hourly: 10, daily: 30 },
+  network: { hourly: 50, daily: 200 },
+};
+
+async function checkTokenIssuanceLimit(request, env) {
+  const ip = request.headers.get('CF-Connecting-IP');
+  if (!ip) {
+    return { allowed: true };
+  }
+
+  const config = env.TOKEN_ISSUANCE_LIMITS
+    ? (typeof env.TOKEN_ISSUANCE_LIMITS === 'string' ? JSON.parse(env.TOKEN_ISSUANCE_LIMITS) : env.TOKEN_ISSUANCE_LIMITS)
+    : DEFAULT_TOKEN_ISSUANCE_LIMITS;
+
+  const toLimits = quotas => Object.keys(QUOTA_WINDOWS)
+    .filter(name => quotas && quotas[name] != null)
+    .map(name => ({ name, limit: quotas[name], windowMs: QUOTA_WINDOWS[name] }));
+
+  try {
+    const results = await Promise.all([
+      enforceLimits(`token_issue:ip:${ip}`, toLimits(config.ip), 1, env),
+      enforceLimits(`token_issue:net:${getNetworkKey(ip, request.cf)}`, toLimits(config.network), 1, env),
+    ]);
+
+    const denied = results.filter(result => !result.allowed);
+    if (denied.length > 0) {
+      return {
+        allowed: false,
+        retryAfter: Math.max(...denied.map(result => result.retryAfter)),
+      };
+    }
+
+    return { allowed: true };
+  } catch (error) {
+    logError('token_issuance_limit_check_failed', error);
+    // 制限の確認に失敗した場合は通す
+    return { allowed: true };
+  }
+}
+
+// ネットワーク単位のキー（ASN + IPv4は/24、IPv6は/48のプレフィックス）
+function getNetworkKey(ip, cf) {
+  const asn = cf && cf.asn ? cf.asn : 'unknown';
+
+  if (ip.includes(':')) {
+    return `${asn}:${expandIpv6(ip).slice(0, 3).join(':')}::/48`;
+  }
+
+  return `${asn}:${ip.split('.').slice(0, 3).join('.')}.0/24`;
+}
+
+// IPv6アドレスの8グループへの展開（"::" の省略と先頭の0を正規化）
+function expandIpv6(ip) {
+  const [head, tail] = ip.toLowerCase().split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const missing = tail === undefined ? 0 : 8 - headGroups.length - tailGroups.length;
+
+  return [...headGroups, ...Array(Math.max(missing, 0)).fill('0'), ...tailGroups]
+    .map(group => parseInt(group, 16).toString(16));
+}
+
+// トークン発行前の確認（人間確認 → プルーフオブワークの順）
+async function verifyTokenIssuanceChallenge(requestBody, request, env) {
+  if (env.HUMAN_VERIFIER) {
+    const verifier = HUMAN_VERIFIERS[env.HUMAN_VERIFIER];
+    if (!verifier) {
+      throw new Error(`Unknown human verifier: ${env.HUMAN_VERIFIER}`);
+    }
+
+    const humanToken = requestBody.humanVerification && requestBody.humanVerification.token;
+    if (!humanToken || !(await verifier(humanToken, request, env))) {
+      return { success: false, error: 'Human verification failed' };
+    }
+  }
+
+  if (getProofOfWorkDifficulty(env) > 0) {
+    const pow = requestBody.proofOfWork;
+    if (!pow || !pow.challenge || pow.nonce == null) {
+      return { success: false, error: 'Proof of work required' };
+    }
+    if (!(await verifyProofOfWork(pow.challenge, String(pow.nonce), env))) {
+      return { success: false, error: 'Invalid proof of work' };
+    }
+  }
+
+  return { success: true };
+}
+
+// 人間確認プロバイダー（HUMAN_VERIFIERで選択）
+const HUMAN_VERIFIERS = {
+  // Cloudflare Turnstile
+  async turnstile(token, request, env) {
+    const formData = new FormData();
+    formData.append('secret', env.TURNSTILE_SECRET_KEY);
+    formData.append('response', token);
+    const ip = request.headers.get('CF-Connecting-IP');
+    if (ip) {
+      formData.append('remoteip', ip);
+    }
+
+    const response = await fetch('https://challenges.cloudflare.com/turnstile/v0/siteverify', {
+      method: 'POST',
+      body: formData,
+    });
+    const result = await response.json();
+    return result.success === true;
+  },
+
+  // ローカル開発・テスト用（"pass"のみ受け付ける）
+  async stub(token) {
+    return token === 'pass';
+  },
+};
+
+// プルーフオブワーク（SHA-256(challenge:nonce)の先頭difficultyビットが0になるnonceを要求）
+const POW_CHALLENGE_TTL_SECONDS = 5 * 60; // 5分
+
+function getProofOfWorkDifficulty(env) {
+  return parseInt(env.TOKEN_POW_DIFFICULTY || '0', 10);
+}
+
+// チャレンジは署名付きで発行し、サーバー側では使用済みかどうかのみ記録する
+async function generateProofOfWorkChallenge(difficulty, env) {
+  const now = Math.floor(Date.now() / 1000);
+
+  return await signJWT({
+    type: 'pow',
+    jti: generateTokenId(),
+    difficulty,
+    iat: now,
+    exp: now + POW_CHALLENGE_TTL_SECONDS
+  }, env);
+}
+
+async function verifyProofOfWork(challenge, nonce, env) {
+  let payload;
+  try {
+    payload = await verifyJWT(challenge, env);
+  } catch (error) {
+    return false;
+  }
+
+  if (payload.type !== 'pow' || payload.difficulty < getProofOfWorkDifficulty(env)) {
+    return false;
+  }
+
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${challenge}:${nonce}`));
+  if (countLeadingZeroBits(new Uint8Array(digest)) < payload.difficulty) {
+    return false;
+  }
+
+  // 同じチャレンジの使い回しを防止（NONCE_STORE で原子的に記録、チャレンジ毎に1インスタンス）
+  if (env.NONCE_STORE) {
+    return await consumeNonce(`pow:${payload.jti}`, payload.jti, payload.exp * 1000, env);
+  }
+
+  // NONCE_STORE がない設定ではKVで記録（拠点間の伝播遅延の間は使い回せるため、設定の問題として報告）
+  const usedKey = `pow_used:${payload.jti}`;
+  if (await env.TOKEN_KV.get(usedKey)) {
+    return false;
+  }
+  await env.TOKEN_KV.put(usedKey, '1', { expirationTtl: POW_CHALLENGE_TTL_SECONDS });
+
+  return true;
+}
+
+function countLeadingZeroBits(bytes) {
+  let bits = 0;
+  for (const byte of bytes) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    bits += Math.clz32(byte) - 24;
+    break;
+  }
+  return bits;
+}
+
+// トークンの有効期間
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60; // 15分
+const REFRESH_TOKEN_TTL_SECONDS = 30 * 24 * 60 * 60; // 30日
+
+// トークンID（jti・ファミリーID）の生成
+function generateTokenId() {
+  return crypto.randomUUID();
+}
+
+// アクセストークン（短命）の生成。種別は匿名ユーザーの anonymous とアカウント連携済みの user
+// jkt はDPoPで束縛する端末の鍵のサムプリント（cnfクレームに入れる）
+async function generateAccessToken(userId, planName, tokenType, familyId, env, jkt = null) {
+  const now = Math.floor(Date.now() / 1000);
+  const exp = now + ACCESS_TOKEN_TTL_SECONDS;
+
+  const payload = {
+    userId,
+    iat: now,
+    exp: exp,
+    type: tokenType,
+    plan: planName,
+    jti: generateTokenId(),
+    fid: familyId,
+    ...(jkt ? { cnf: { jkt } } : {})
+  };
+
+  return await signJWT(payload, env);
+}
+
+// リフレッシュトークンの生成（ファミリーの現在のjtiとしてKVに記録）
+async function generateRefreshToken(userId, planName, tokenType, familyId, env, jkt = null) {
+  const now = Math.floor(Date.now() / 1000);
+  const jti = generateTokenId();
+
+  const payload = {
+    userId,
+    iat: now,
+    exp: now + REFRESH_TOKEN_TTL_SECONDS,
+    type: 'refresh',
+    plan: planName,
+    jti,
+    fid: familyId
+  };
+
+  await env.TOKEN_KV.put(
+    `refresh_family:${familyId}`,
+    JSON.stringify({ userId, plan: planName, type: tokenType, currentJti: jti, rotatedAt: Date.now(), jkt }),
+    { expirationTtl: REFRESH_TOKEN_TTL_SECONDS }
+  );
+
+  return await signJWT(payload, env);
+}
+
+// アクセストークンとリフレッシュトークンの組を発行
+async function issueTokenPair(userId, planName, tokenType, familyId, env, jkt = null) {
+  const token = await generateAccessToken(userId, planName, tokenType, familyId, env, jkt);
+  const refreshToken = await generateRefreshToken(userId, planName, tokenType, familyId, env, jkt);
+
+  return {
+    token,
+    refreshToken,
+    expiresAt: Date.now() + ACCESS_TOKEN_TTL_SECONDS * 1000,
+    refreshExpiresAt: Date.now() + REFRESH_TOKEN_TTL_SECONDS * 1000,
+    tokenBinding: jkt ? 'dpop' : 'bearer',
+    // リクエスト署名が有効な場合のみ署名鍵（base64url）を発行
+    ...(isRequestSigningEnabled(env) ? { signingKey: base64UrlEncode(await deriveSigningKey(familyId, env)) } : {})
+  };
+}
+
+// リフレッシュトークンのローテーション（使用済みトークンの再利用はファミリーごと失効）
+// jkt は更新リクエストのDPoPの証明の鍵（束縛済みのファミリーは同じ鍵のみ、未束縛のファミリーはこの鍵に束縛）
+async function rotateRefreshToken(refreshToken, env, jkt = null) {
+  let payload;
+  try {
+    payload = await verifyJWT(refreshToken, env);
+  } catch (error) {
+    return { success: false, error: 'Invalid or expired refresh token' };
+  }
+
+  if (payload.type !== 'refresh' || !payload.fid || !payload.jti) {
+    return { success: false, error: 'Invalid or expired refresh token' };
+  }
+
+  if (await isTokenRevoked(payload, env)) {
+    return { success: false, error: 'Token has been revoked' };
+  }
+
+  const family = await env.TOKEN_KV.get(`refresh_family:${payload.fid}`, 'json');
+  if (!family) {
+    return { success: false, error: 'Invalid or expired refresh token' };
+  }
+
+  if (family.currentJti !== payload.jti) {
+    // 既にローテーション済みのトークンが使われた＝漏洩の可能性があるためファミリー全体を失効
+    writeLogLine({ level: 'error', event: 'refresh_token_reuse', familyId: payload.fid });
+    await revokeTokenFamily(payload.fid, env);
+    return { success: false, error: 'Refresh token reuse detected' };
+  }
+
+  if (family.jkt && family.jkt !== jkt) {
+    return { success: false, error: 'DPoP key mismatch' };
+  }
+
+  const controls = await getUserControls(family.userId, env);
+  if (controls.blocked) {
+    return { success: false, status: 403, error: 'User is blocked' };
+  }
+
+  const tokenType = family.type || 'anonymous';
+  const tokens = await issueTokenPair(family.userId, family.plan, tokenType, payload.fid, env, family.jkt || jkt);
+
+  return { success: true, tokens, userId: family.userId, plan: family.plan, tokenType };
+}
+
+// トークンファミリーの失効（発行済みのアクセストークン・リフレッシュトークンすべて）
+async function revokeTokenFamily(familyId, env) {
+  const revokedAt = Date.now();
+  await env.TOKEN_KV.put(`revoked_family:${familyId}`, String(revokedAt), {
+    expirationTtl: REFRESH_TOKEN_TTL_SECONDS,
+    metadata: { revokedAt },
+  });
+  await env.TOKEN_KV.delete(`refresh_family:${familyId}`);
+}
+
+// 失効リストの確認（ユーザー単位の失効はその時刻以前に発行されたトークンが対象）
+async function isTokenRevoked(payload, env) {
+  const [revokedFamily, revokedUserAt] = await Promise.all([
+    payload.fid ? env.TOKEN_KV.get(`revoked_family:${payload.fid}`) : null,
+    payload.userId ? env.TOKEN_KV.get(`revoked_user:${payload.userId}`) : null,
+  ]);
+
+  if (revokedUserAt && payload.iat <= Math.floor(parseInt(revokedUserAt, 10) / 1000)) {
+    return true;
+  }
+
+  return Boolean(revokedFamily);
+}
+
+// アクセストークン（anonymous・user）の検証
+const ACCESS_TOKEN_TYPES = ['anonymous', 'user'];
+
+async function verifyAccessToken(token, env) {
+  let payload;
+  try {
+    payload = await verifyJWT(token, env);
+  } catch (error) {
+    throw new Error('Invalid access token');
+  }
+
+  // アクセストークンの追加チェック（リフレッシュトークン等の流用を拒否）
+  if (!ACCESS_TOKEN_TYPES.includes(payload.type) || !payload.jti) {
+    throw new Error('Invalid access token');
+  }
+
+  if (await isTokenRevoked(payload, env)) {
+    throw new Error('Token has been revoked');
+  }
+
+  return payload;
+}
+
+// ユーザー統計の初期化
+async function initializeUserStats(userId, planName, env) {
+  try {
+    const stats = {
+      createdAt: Date.now(),
+      plan: planName,
+      totalRequests: 0,
+      lastRequestAt: null,
+      dailyRequests: {}
+    };
+
+    await putUserStats(userId, stats, env);
+  } catch (error) {
+    logError('user_stats_init_failed', error);
+  }
+}
+
+// プラン定義（ウィンドウ毎のクォータとルート毎のリクエストコスト）
+// PLANS変数（JSON）で上書き可能。クォータにnullを指定したウィンドウは無制限
+const DEFAULT_PLANS = {
+  anonymous: {
+    quotas: { hourly: 100, daily: 1000, monthly: 10000 },
+    routeCosts: {},
+  },
+  trial: {
+    quotas: { hourly: 300, daily: 3000, monthly: 30000 },
+    routeCosts: {},
+  },
+  partner: {
+    quotas: { hourly: 2000, daily: 30000, monthly: 500000 },
+    routeCosts: {},
+  },
+};
+
+const QUOTA_WINDOWS = {
+  hourly: 60 * 60 * 1000,
+  daily: 24 * 60 * 60 * 1000,
+  monthly: 30 * 24 * 60 * 60 * 1000,
+};
+
+function getPlans(env) {
+  if (!env.PLANS) {
+    return DEFAULT_PLANS;
+  }
+  return typeof env.PLANS === 'string' ? JSON.parse(env.PLANS) : env.PLANS;
+}
+
+// 未知のプラン名はanonymousとして扱う
+function resolvePlanName(planName, env) {
+  const plans = getPlans(env);
+  return planName && plans[planName] ? planName : 'anonymous';
+}
+
+function getPlan(planName, env) {
+  const plans = getPlans(env);
+  return plans[resolvePlanName(planName, env)] || DEFAULT_PLANS.anonymous;
+}
+
+// プランのクォータをレート制限のウィンドウ一覧に変換（管理APIによるユーザー毎の上書きを反映）
+function getQuotaLimits(planName, env, quotaOverrides = {}) {
+  const quotas = { ...getPlan(planName, env).quotas, ...quotaOverrides };
+
+  return Object.keys(QUOTA_WINDOWS)
+    .filter(name => quotas[name] != null)
+    .map(name => ({ name, limit: quotas[name], windowMs: QUOTA_WINDOWS[name] }));
+}
+
+// ルート毎のリクエストコスト（プランの設定 → ルートの設定 → 1の順）
+function getRequestCost(planName, route, env) {
+  const { routeCosts = {} } = getPlan(planName, env);
+  return routeCosts[route.name] ?? route.options.cost ?? 1;
+}
+
+// トークン発行レスポンスに含めるレート制限情報
+function buildRateLimitInfo(planName, env) {
+  const plan = getPlan(planName, env);
+
+  return {
+    plan: planName,
+    maxRequests: plan.quotas.hourly,
+    windowMs: QUOTA_WINDOWS.hourly,
+    quotas: plan.quotas,
+    routeCosts: plan.routeCosts || {},
+  };
+}
 
+// レート制限の確認（統計情報も更新）
+async function checkRateLimit(userId, limits, cost, env, recordRequest = true, routeName = null) {
   try {
-    // 匿名トークンの検証
-    const payload = await verifyAnonymousToken(token, env);
+    const result = await enforceLimits(userId, limits, cost, env);
+
+    if (!result.allowed) {
+      return result;
+    }
+
+    // ユーザー統計を更新
+    if (recordRequest) {
+      await updateUserStats(userId, env, { [routeName || 'default']: 1 });
+    }
+
+    return { allowed: true, windows: result.windows };
+
+  } catch (error) {
+    logError('rate_limit_check_failed', error);
+    // レート制限の確認に失敗した場合は通す
+    return { allowed: true };
+  }
+}
+
+// キー毎のクォータ消費（Durable Objectが設定されていれば全ウィンドウの判定と加算をアトミックに実行）
+// 結果の windows にはウィンドウ毎の { name, limit, remaining, reset（秒） } が入る。cost が0の場合は消費せずに状態のみ返す
+async function enforceLimits(key, limits, cost, env) {
+  if (limits.length === 0) {
+    return { allowed: true, windows: [] };
+  }
+
+  return env.RATE_LIMITER
+    ? await consumeRateLimit(env.RATE_LIMITER, key, {
+      algorithm: env.RATE_LIMIT_ALGORITHM || 'sliding-window',
+      limits,
+      cost,
+    })
+    : await checkRateLimitWithKv(key, env, limits, cost);
+}
+
+// Durable Objectによるレート制限の判定
+async function consumeRateLimit(namespace, key, params) {
+  const stub = namespace.get(namespace.idFromName(key));
+  const response = await stub.fetch('https://rate-limiter/consume', {
+    method: 'POST',
+    body: JSON.stringify(params),
+  });
+
+  if (!response.ok) {
+    throw new Error(`Rate limiter responded with ${response.status}`);
+  }
+
+  return await response.json();
+}
+
+// キーのクォータ消費状態の破棄（管理APIからのリセット）
+async function resetRateLimit(key, env) {
+  if (env.RATE_LIMITER) {
+    const stub = env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName(key));
+    const response = await stub.fetch('https://rate-limiter/reset', { method: 'POST' });
+    if (!response.ok) {
+      throw new Error(`Rate limiter responded with ${response.status}`);
+    }
+    return;
+  }
+
+  let cursor;
+  do {
+    const result = await env.RATE_LIMIT_KV.list({ prefix: `rate_limit:${key}:`, cursor });
+    await Promise.all(result.keys.map(entry => env.RATE_LIMIT_KV.delete(entry.name)));
+    cursor = result.list_complete ? null : result.cursor;
+  } while (cursor);
+}
+
+// KVによる固定ウィンドウのレート制限（Durable Object未設定時のフォールバック、厳密ではない）
+async function checkRateLimitWithKv(key, env, limits, cost) {
+  const now = Date.now();
+
+  const windows = await Promise.all(limits.map(async ({ name, limit, windowMs }) => {
+    const windowStart = Math.floor(now / windowMs) * windowMs;
+    const windowKey = `rate_limit:${key}:${name}:${windowStart}`;
+    const count = parseInt(await env.RATE_LIMIT_KV.get(windowKey) || '0', 10);
+    return { key: windowKey, name, limit, windowMs, windowStart, count };
+  }));
+
+  const toState = (window, used) => ({
+    name: window.name,
+    limit: window.limit,
+    remaining: Math.max(0, window.limit - used),
+    reset: Math.ceil((window.windowStart + window.windowMs - now) / 1000),
+  });
+
+  // 制限チェック
+  const exceeded = windows.filter(window => window.count + cost > window.limit);
+  if (exceeded.length > 0) {
+    const retryAfter = Math.max(...exceeded.map(window =>
+      Math.ceil((window.windowStart + window.windowMs - now) / 1000)
+    ));
 
     return {
-      success: true,
-      userId: payload.userId,
-      isAnonymous: true,
-      issuedAt: payload.iat,
-      expiresAt: payload.exp
+      allowed: false,
+      retryAfter: retryAfter,
+      windows: windows.map(window => toState(window, window.count)),
+    };
+  }
+
+  // KVに保存（TTLを設定）
+  if (cost > 0) {
+    await Promise.all(windows.map(window =>
+      env.RATE_LIMIT_KV.put(
+        window.key,
+        String(window.count + cost),
+        { expirationTtl: Math.max(60, Math.ceil(window.windowMs / 1000)) }
+      )
+    ));
+  }
+
+  return { allowed: true, windows: windows.map(window => toState(window, window.count + cost)) };
+}
+
+// レート制限用Durable Object（ユーザー毎に1インスタンス）
+// 1インスタンス内のリクエストは逐次処理されるため、判定と加算の間に他のリクエストが割り込まない
+export class RateLimiter {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+  }
+
+  async fetch(request) {
+    // ユーザー統計の加算（KVの読み込みから書き込みまでを前の更新の完了後に行い、同時の更新で件数を失わない）
+    if (new URL(request.url).pathname === '/stats') {
+      const { userId, change } = await request.json();
+      const update = (this.statsUpdate || Promise.resolve())
+        .catch(() => {})
+        .then(() => applyUserStatsChange(userId, change, this.env));
+      this.statsUpdate = update;
+      await update;
+      return new Response(JSON.stringify({ updated: true }), {
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+
+    // 管理APIからのクォータのリセット
+    if (new URL(request.url).pathname === '/reset') {
+      await this.state.storage.deleteAll();
+      await this.state.storage.deleteAlarm();
+      return new Response(JSON.stringify({ reset: true }), {
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+
+    const { algorithm, limits, cost = 1 } = await request.json();
+    const now = Date.now();
+
+    if (algorithm !== 'sliding-window' && algorithm !== 'token-bucket') {
+      return new Response(
+        JSON.stringify({ error: `Unknown rate limit algorithm: ${algorithm}` }),
+        { status: 400, headers: { 'Content-Type': 'application/json' } }
+      );
+    }
+
+    // 全ウィンドウを判定し、すべて許可された場合のみ加算する
+    const evaluations = await Promise.all(limits.map(limit =>
+      algorithm === 'token-bucket'
+        ? this.evaluateTokenBucket(limit, cost, now)
+        : this.evaluateSlidingWindow(limit, cost, now)
+    ));
+
+    const denied = evaluations.filter(evaluation => !evaluation.allowed);
+    let result;
+    if (denied.length > 0) {
+      result = {
+        allowed: false,
+        retryAfter: Math.max(...denied.map(evaluation => evaluation.retryAfter)),
+        windows: evaluations.map(evaluation => evaluation.current),
+      };
+    } else {
+      result = {
+        allowed: true,
+        windows: evaluations.map(evaluation => evaluation.after),
+      };
+    }
+
+    // 消費した場合のみ保存し、一定期間アクセスがなければ状態を破棄
+    if (!denied.length && cost > 0) {
+      const entries = {};
+      for (const evaluation of evaluations) {
+        entries[evaluation.key] = evaluation.next;
+      }
+      await this.state.storage.put(entries);
+
+      const longestWindowMs = Math.max(...limits.map(limit => limit.windowMs));
+      await this.state.storage.setAlarm(now + longestWindowMs * 2);
+    }
+
+    return new Response(JSON.stringify(result), {
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+
+  async alarm() {
+    await this.state.storage.deleteAll();
+  }
+
+  // スライディングウィンドウカウンター（前ウィンドウの件数を経過率で按分して加算）
+  async evaluateSlidingWindow({ name, limit, windowMs }, cost, now) {
+    const key = `sliding-window:${name}`;
+    const currentWindowStart = Math.floor(now / windowMs) * windowMs;
+    let window = await this.state.storage.get(key) || {
+      start: currentWindowStart,
+      count: 0,
+      previousCount: 0,
+    };
+
+    // ウィンドウの切り替え
+    if (window.start !== currentWindowStart) {
+      const previousCount = window.start === currentWindowStart - windowMs ? window.count : 0;
+      window = { start: currentWindowStart, count: 0, previousCount };
+    }
+
+    const elapsed = now - currentWindowStart;
+    const weight = 1 - elapsed / windowMs;
+    const estimated = window.previousCount * weight + window.count;
+    const reset = Math.ceil((windowMs - elapsed) / 1000);
+    const toState = used => ({ name, limit, remaining: Math.max(0, Math.floor(limit - used)), reset });
+
+    if (estimated + cost > limit) {
+      // 前ウィンドウ分の按分が減って収まるまで、または次のウィンドウまでの待ち時間
+      const available = limit - window.count - cost;
+      const waitMs = available >= 0 && window.previousCount > 0
+        ? windowMs * (1 - available / window.previousCount) - elapsed
+        : windowMs - elapsed;
+
+      return {
+        key,
+        allowed: false,
+        retryAfter: Math.max(1, Math.ceil(waitMs / 1000)),
+        current: toState(estimated),
+      };
+    }
+
+    return {
+      key,
+      allowed: true,
+      next: { ...window, count: window.count + cost },
+      current: toState(estimated),
+      after: toState(estimated + cost),
+    };
+  }
+
+  // トークンバケット（windowMsでlimit個分を補充、最大limit個まで蓄積）
+  async evaluateTokenBucket({ name, limit, windowMs }, cost, now) {
+    const key = `token-bucket:${name}`;
+    const refillPerMs = limit / windowMs;
+    const bucket = await this.state.storage.get(key) || {
+      tokens: limit,
+      updatedAt: now,
+    };
+
+    const tokens = Math.min(limit, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+    // resetは満杯まで補充されるまでの秒数
+    const toState = available => ({
+      name,
+      limit,
+      remaining: Math.max(0, Math.floor(available)),
+      reset: Math.ceil((limit - available) / refillPerMs / 1000),
+    });
+
+    if (tokens < cost) {
+      return {
+        key,
+        allowed: false,
+        retryAfter: Math.max(1, Math.ceil((cost - tokens) / refillPerMs / 1000)),
+        current: toState(tokens),
+      };
+    }
+
+    return {
+      key,
+      allowed: true,
+      next: { tokens: tokens - cost, updatedAt: now },
+      current: toState(tokens),
+      after: toState(tokens - cost),
     };
+  }
+}
+
+// ユーザー統計の更新
+// routeCounts はルート名毎の件数（{ search: 2 }）で、合計を総リクエスト数と日次件数に加算する
+async function updateUserStats(userId, env, routeCounts) {
+  try {
+    await changeUserStats(userId, { routeCounts }, env);
   } catch (error) {
-    return { success: false, error: 'Invalid or expired token' };
+    logError('user_stats_update_failed', error);
+  }
+}
+
+// ストリーミングで中継したバイト数を統計に記録
+async function recordStreamUsage(userId, bytes, env) {
+  try {
+    await changeUserStats(userId, { streamedBytes: bytes }, env);
+  } catch (error) {
+    logError('stream_usage_record_failed', error);
+  }
+}
+
+// 統計の加算（KVの読み込みと書き込みの間に同じユーザーの更新が割り込むと件数が失われるため、
+// RATE_LIMITER がある場合はユーザーの Durable Object で逐次処理する。KVのみの構成では同時の更新で件数が欠けることがある）
+async function changeUserStats(userId, change, env) {
+  if (!env.RATE_LIMITER) {
+    await applyUserStatsChange(userId, change, env);
+    return;
+  }
+
+  const stub = env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName(userId));
+  const response = await stub.fetch('https://rate-limiter/stats', {
+    method: 'POST',
+    body: JSON.stringify({ userId, change }),
+  });
+  if (!response.ok) {
+    throw new Error(`Rate limiter responded with ${response.status}`);
+  }
+}
+
+// change は { routeCounts } または { streamedBytes }（バイト数は統計のないユーザーには記録しない）
+async function applyUserStatsChange(userId, change, env) {
+  const statsKey = `user_stats:${userId}`;
+  const now = Date.now();
+  const today = new Date(now).toISOString().split('T')[0];
+
+  const existingStats = await env.USER_STATS_KV.get(statsKey);
+  if (!existingStats && !change.routeCounts) {
+    return;
+  }
+  const stats = existingStats ? JSON.parse(existingStats) : {
+    createdAt: now,
+    totalRequests: 0,
+    lastRequestAt: null,
+    dailyRequests: {}
+  };
+
+  if (change.streamedBytes) {
+    stats.streamedBytes = (stats.streamedBytes || 0) + change.streamedBytes;
+  }
+
+  if (change.routeCounts) {
+    const count = Object.values(change.routeCounts).reduce((sum, value) => sum + value, 0);
+    stats.totalRequests += count;
+    stats.lastRequestAt = now;
+    stats.dailyRequests[today] = (stats.dailyRequests[today] || 0) + count;
+
+    // ルート毎の日次件数（定期実行の集計で使用）
+    stats.routeRequests = stats.routeRequests || {};
+    const todayRoutes = stats.routeRequests[today] || {};
+    for (const [routeName, value] of Object.entries(change.routeCounts)) {
+      todayRoutes[routeName] = (todayRoutes[routeName] || 0) + value;
+    }
+    stats.routeRequests[today] = todayRoutes;
+
+    // 古い日次データを削除（30日分のみ保持）
+    const cutoffDate = new Date(now - 30 * 24 * 60 * 60 * 1000);
+    for (const daily of [stats.dailyRequests, stats.routeRequests]) {
+      Object.keys(daily).forEach(date => {
+        if (new Date(date) < cutoffDate) {
+          delete daily[date];
+        }
+      });
+    }
+  }
+
+  await putUserStats(userId, stats, env);
+}
+
+// ユーザー統計の保存（管理APIの一覧で値を読まずに済むよう主要項目をメタデータにも持たせる）
+async function putUserStats(userId, stats, env) {
+  await env.USER_STATS_KV.put(`user_stats:${userId}`, JSON.stringify(stats), {
+    metadata: {
+      plan: stats.plan || null,
+      createdAt: stats.createdAt,
+      totalRequests: stats.totalRequests,
+      lastRequestAt: stats.lastRequestAt,
+    },
+  });
+}
+
+// 定期実行のタスク（SCHEDULED_TASKS 未設定時はどのcronでもすべてを次の順に実行）
+// SCHEDULED_TASKS: { "<cronの式>": ["rollup", "expire_users", ...] }
+const SCHEDULED_TASK_HANDLERS = {
+  rollup: runUsageRollup,
+  expire_users: expireInactiveUsers,
+  summary: sendUsageSummary,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_INACTIVE_USER_DAYS = 90;
+const ROLLUP_DAILY_TTL_SECONDS = 400 * 24 * 60 * 60; // 約13か月
+const ROLLUP_PROGRESS_TTL_SECONDS = 2 * 24 * 60 * 60;
+// 集計の仕上げ（途中経過の保存、日次・月次の保存、当月の日次の集計の読み込み）に残しておくサブリクエスト数
+const ROLLUP_FINALIZE_SUBREQUESTS = 40;
+// 1回の実行（全タスク合計）で使うサブリクエスト数の上限（Workersの上限1000に余裕を持たせる）
+const SCHEDULED_MAX_SUBREQUESTS = 900;
+// 1回の実行で削除する匿名ユーザーの上限（残りは次回に持ち越す）
+const EXPIRE_MAX_USERS = 200;
+const SUMMARY_WEBHOOK_TIMEOUT_MS = 10 * 1000;
+
+async function handleScheduled(controller, env, ctx) {
+  const tasks = getScheduledTasks(controller.cron, env);
+  const scheduledTime = controller.scheduledTime || Date.now();
+  // 集計の対象は実行時刻の前日（UTC）
+  const day = new Date(scheduledTime - DAY_MS).toISOString().slice(0, 10);
+  const results = {};
+  const failed = [];
+  // 残りのサブリクエスト数（各タスクが使った分を差し引く）
+  const budget = { remaining: SCHEDULED_MAX_SUBREQUESTS };
+
+  for (const task of tasks) {
+    const startedAt = Date.now();
+    try {
+      results[task] = await SCHEDULED_TASK_HANDLERS[task]({ env, scheduledTime, day, results, budget });
+    } catch (error) {
+      failed.push(task);
+      results[task] = { error: error.message };
+    }
+    writeLogLine({
+      level: task in results && !results[task].error ? 'info' : 'error',
+      event: 'scheduled_task',
+      cron: controller.cron,
+      task,
+      durationMs: Date.now() - startedAt,
+      result: results[task],
+    });
+  }
+
+  if (failed.length > 0) {
+    throw new Error(`Scheduled tasks failed: ${failed.join(', ')}`);
+  }
+}
+
+function getScheduledTasks(cron, env) {
+  const all = Object.keys(SCHEDULED_TASK_HANDLERS);
+  if (!env.SCHEDULED_TASKS) {
+    return all;
+  }
+
+  try {
+    const config = JSON.parse(env.SCHEDULED_TASKS);
+    const tasks = config[cron] || [];
+    const unknown = tasks.filter(task => !all.includes(task));
+    if (unknown.length > 0) {
+      writeLogLine({ level: 'error', event: 'unknown_scheduled_tasks', cron, tasks: unknown });
+    }
+    // 指定の順序に関わらず集計 → 削除 → 通知の順に実行
+    return all.filter(task => tasks.includes(task));
+  } catch (error) {
+    logError('invalid_scheduled_tasks', error);
+    return [];
+  }
+}
+
+// ユーザー統計から前日のルート・プラン毎の集計と、その月の集計を作成
+// 月の件数は日次の集計の合計、月間のユーザー数は統計に残っている30日分の日次件数から数える
+// サブリクエスト数の上限に達した場合は途中経過（リストのカーソルと集計中の値）を保存し、次の実行で続きから再開する
+async function runUsageRollup({ env, day, budget }) {
+  const month = day.slice(0, 7);
+  const dayStart = Date.parse(`${day}T00:00:00Z`);
+  const monthStart = Date.parse(`${month}-01T00:00:00Z`);
+  const progressKey = `rollup:progress:${day}`;
+
+  budget.remaining -= 2;
+  const [completed, progress] = await Promise.all([
+    env.USER_STATS_KV.get(`rollup:daily:${day}`),
+    env.USER_STATS_KV.get(progressKey, 'json'),
+  ]);
+  if (completed) {
+    // 完了済みの日は作り直さない（要約も再送しない）
+    return { skipped: true };
+  }
+
+  const state = progress || {
+    cursor: undefined,
+    daily: { date: day, totalRequests: 0, activeUsers: 0, newUsers: 0, routes: {}, plans: {} },
+    monthlyUsers: { activeUsers: 0, routes: {}, plans: {} },
+  };
+  const { daily, monthlyUsers } = state;
+
+  do {
+    // 1ページ分の読み込み（リスト1回と値の取得）が残りに収まるよう件数を絞る
+    const limit = Math.min(1000, budget.remaining - ROLLUP_FINALIZE_SUBREQUESTS - 1);
+    if (limit <= 0) {
+      budget.remaining--;
+      await env.USER_STATS_KV.put(progressKey, JSON.stringify(state), {
+        expirationTtl: ROLLUP_PROGRESS_TTL_SECONDS,
+      });
+      return { remaining: true, activeUsers: daily.activeUsers };
+    }
+
+    budget.remaining--;
+    const result = await env.USER_STATS_KV.list({ prefix: 'user_stats:', cursor: state.cursor, limit });
+    const keys = [];
+    for (const key of result.keys) {
+      const metadata = key.metadata || {};
+      if (metadata.createdAt >= dayStart && metadata.createdAt < dayStart + DAY_MS) {
+        daily.newUsers++;
+      }
+      // その月にリクエストのないユーザーは値を読まずに飛ばす
+      if (key.metadata && (metadata.lastRequestAt || 0) < monthStart) {
+        continue;
+      }
+      keys.push(key.name);
+    }
+
+    budget.remaining -= keys.length;
+    const entries = await Promise.all(keys.map(name => env.USER_STATS_KV.get(name, 'json')));
+    for (const stats of entries) {
+      if (!stats) {
+        continue;
+      }
+      const plan = stats.plan || 'unknown';
+      const routeRequests = stats.routeRequests || {};
+
+      const count = (stats.dailyRequests || {})[day] || 0;
+      if (count > 0) {
+        daily.activeUsers++;
+        daily.totalRequests += count;
+        addRollupCount(daily.plans, plan, count);
+        for (const [routeName, routeCount] of Object.entries(routeRequests[day] || {})) {
+          addRollupCount(daily.routes, routeName, routeCount);
+        }
+      }
+
+      const monthDates = Object.keys(stats.dailyRequests || {}).filter(date => date.startsWith(month));
+      if (monthDates.some(date => stats.dailyRequests[date] > 0)) {
+        monthlyUsers.activeUsers++;
+        monthlyUsers.plans[plan] = (monthlyUsers.plans[plan] || 0) + 1;
+        const monthRoutes = new Set(monthDates.flatMap(date => Object.keys(routeRequests[date] || {})));
+        for (const routeName of monthRoutes) {
+          monthlyUsers.routes[routeName] = (monthlyUsers.routes[routeName] || 0) + 1;
+        }
+      }
+    }
+
+    state.cursor = result.list_complete ? null : result.cursor;
+  } while (state.cursor);
+
+  budget.remaining--;
+  await env.USER_STATS_KV.put(`rollup:daily:${day}`, JSON.stringify(daily), {
+    expirationTtl: ROLLUP_DAILY_TTL_SECONDS,
+  });
+
+  // 月の集計は当月分の日次の集計から作り直す（再実行しても二重に数えない）
+  const monthly = { month, days: 0, totalRequests: 0, activeUsers: monthlyUsers.activeUsers, routes: {}, plans: {} };
+  let cursor;
+  do {
+    const result = await env.USER_STATS_KV.list({ prefix: `rollup:daily:${month}-`, cursor });
+    budget.remaining -= 1 + result.keys.length;
+    const rollups = await Promise.all(result.keys.map(key => env.USER_STATS_KV.get(key.name, 'json')));
+    for (const rollup of rollups.filter(Boolean)) {
+      monthly.days++;
+      monthly.totalRequests += rollup.totalRequests;
+      for (const [name, value] of Object.entries(rollup.routes)) {
+        addRollupCount(monthly.routes, name, value.requests, 0);
+      }
+      for (const [name, value] of Object.entries(rollup.plans)) {
+        addRollupCount(monthly.plans, name, value.requests, 0);
+      }
+    }
+    cursor = result.list_complete ? null : result.cursor;
+  } while (cursor);
+
+  for (const [name, users] of Object.entries(monthlyUsers.routes)) {
+    addRollupCount(monthly.routes, name, 0, 0).users = users;
+  }
+  for (const [name, users] of Object.entries(monthlyUsers.plans)) {
+    addRollupCount(monthly.plans, name, 0, 0).users = users;
   }
-}
 
-// 匿名ユーザーID生成
-async function generateAnonymousUserId() {
-  const timestamp = Date.now().toString();
-  const randomBytes = new Uint8Array(16);
-  crypto.getRandomValues(randomBytes);
-  const randomHex = Array.from(randomBytes)
-    .map(b => b.toString(16).padStart(2, '0'))
-    .join('');
+  budget.remaining -= progress ? 2 : 1;
+  await Promise.all([
+    env.USER_STATS_KV.put(`rollup:monthly:${month}`, JSON.stringify(monthly)),
+    progress ? env.USER_STATS_KV.delete(progressKey) : null,
+  ]);
 
-  return `anon_${timestamp}_${randomHex}`;
+  return { daily, monthly };
 }
 
-// 匿名トークンの生成
-async function generateAnonymousToken(userId, env) {
-  const now = Math.floor(Date.now() / 1000);
-  const exp = now + (30 * 24 * 60 * 60); // 30日後
+function addRollupCount(target, name, requests, users = 1) {
+  const entry = target[name] || (target[name] = { requests: 0, users: 0 });
+  entry.requests += requests;
+  entry.users += users;
+  return entry;
+}
 
-  const payload = {
-    userId,
-    iat: now,
-    exp: exp,
-    type: 'anonymous'
-  };
+// 一定期間（INACTIVE_USER_DAYS、デフォルト: 90日）リクエストのない匿名ユーザーの削除
+// 統計・管理APIの設定・レート制限の状態を消す（トークンはそれまでに期限切れになっている）
+// ユーザーの失効リストは、非アクティブ期間がリフレッシュトークンの有効期間より長い場合のみ消す
+// （短いと失効させたリフレッシュトークンが再び使えるようになるため）
+async function expireInactiveUsers({ env, scheduledTime, budget }) {
+  const days = parseInt(env.INACTIVE_USER_DAYS, 10) || DEFAULT_INACTIVE_USER_DAYS;
+  const cutoff = scheduledTime - days * DAY_MS;
+  const deleteRevocation = days * DAY_MS > REFRESH_TOKEN_TTL_SECONDS * 1000;
+  // 1ユーザーあたりのサブリクエスト数（統計・管理設定・失効リスト・レート制限の状態の削除）
+  // KVのレート制限はウィンドウ毎のキーのリストと削除になるため多めに見積もる
+  const perUser = 2 + (deleteRevocation ? 1 : 0) + (env.RATE_LIMITER ? 1 : 4);
+  let expired = 0;
 
-  return await signJWT(payload, env.JWT_SECRET);
-}
+  let cursor;
+  do {
+    if (budget.remaining < 1) {
+      return { expired, remaining: true };
+    }
+    budget.remaining--;
+    const result = await env.USER_STATS_KV.list({ prefix: 'user_stats:anon_', cursor });
+    for (const key of result.keys) {
+      // 統計の読み込みが必要な場合の1回分を含めて確認
+      if (expired >= EXPIRE_MAX_USERS || budget.remaining < perUser + 1) {
+        return { expired, remaining: true };
+      }
 
-// 匿名トークンの検証
-async function verifyAnonymousToken(token, env) {
-  try {
-    const payload = await verifyJWT(token, env.JWT_SECRET);
+      let lastActivity = key.metadata ? (key.metadata.lastRequestAt || key.metadata.createdAt) : null;
+      if (!lastActivity) {
+        budget.remaining--;
+        const stats = await env.USER_STATS_KV.get(key.name, 'json');
+        lastActivity = stats ? (stats.lastRequestAt || stats.createdAt) : null;
+      }
+      if (!lastActivity || lastActivity >= cutoff) {
+        continue;
+      }
 
-    // 匿名トークンの追加チェック
-    if (payload.type !== 'anonymous') {
-      throw new Error('Invalid token type');
+      const userId = key.name.substring('user_stats:'.length);
+      budget.remaining -= perUser;
+      await Promise.all([
+        env.USER_STATS_KV.delete(key.name),
+        env.USER_STATS_KV.delete(`user_controls:${userId}`),
+        deleteRevocation ? env.TOKEN_KV.delete(`revoked_user:${userId}`) : null,
+        resetRateLimit(userId, env).catch(error => logError('rate_limit_reset_failed', error)),
+      ]);
+      expired++;
     }
+    cursor = result.list_complete ? null : result.cursor;
+  } while (cursor);
 
-    return payload;
-  } catch (error) {
-    throw new Error('Invalid anonymous token');
-  }
+  return { expired, remaining: false };
 }
 
-// ユーザー統計の初期化
-async function initializeUserStats(userId, env) {
-  try {
-    const statsKey = `user_stats:${userId}`;
-    const stats = {
-      createdAt: Date.now(),
-      totalRequests: 0,
-      lastRequestAt: null,
-      dailyRequests: {}
-    };
+// 前日の利用状況を SUMMARY_WEBHOOK_URL へ送信（SUMMARY_WEBHOOK_SECRET 設定時はHMAC-SHA256の署名を付与）
+async function sendUsageSummary({ env, day, results }) {
+  if (!env.SUMMARY_WEBHOOK_URL) {
+    return { sent: false, reason: 'not_configured' };
+  }
 
-    await env.USER_STATS_KV.put(statsKey, JSON.stringify(stats));
-  } catch (error) {
-    console.error('Failed to initialize user stats:', error);
+  // 同じ実行の集計が途中または完了済み（送信済み）の場合は送らない
+  if (results.rollup && !results.rollup.daily) {
+    return { sent: false, reason: results.rollup.skipped ? 'already_rolled_up' : 'rollup_incomplete' };
   }
-}
 
-// レート制限の確認（統計情報も更新）
-async function checkRateLimit(userId, env) {
-  const rateLimitKey = `rate_limit:${userId}`;
-  const now = Date.now();
-  const windowMs = 60 * 60 * 1000; // 1時間
-  const maxRequests = 100;
+  const rollup = results.rollup
+    ? results.rollup.daily
+    : await env.USER_STATS_KV.get(`rollup:daily:${day}`, 'json');
+  if (!rollup) {
+    return { sent: false, reason: 'no_rollup' };
+  }
 
-  try {
-    // レート制限チェック
-    const rateData = await env.RATE_LIMIT_KV.get(rateLimitKey);
+  const topRoutes = Object.entries(rollup.routes)
+    .sort(([, a], [, b]) => b.requests - a.requests)
+    .slice(0, 5)
+    .map(([name, value]) => `${name}: ${value.requests}`);
 
-    let requests = [];
-    if (rateData) {
-      requests = JSON.parse(rateData);
-    }
+  const payload = JSON.stringify({
+    type: 'daily_usage_summary',
+    // Slack等の受信Webhookでそのまま表示できる要約
+    text: `API proxy usage for ${day}: ${rollup.totalRequests} requests from ${rollup.activeUsers} users (${rollup.newUsers} new)`
+      + (topRoutes.length > 0 ? ` / ${topRoutes.join(', ')}` : ''),
+    date: day,
+    totalRequests: rollup.totalRequests,
+    activeUsers: rollup.activeUsers,
+    newUsers: rollup.newUsers,
+    routes: rollup.routes,
+    plans: rollup.plans,
+    ...(results.expire_users ? { expiredUsers: results.expire_users.expired } : {})
+  });
 
-    // 古いリクエストを削除
-    requests = requests.filter(timestamp => now - timestamp < windowMs);
+  const headers = { 'Content-Type': 'application/json' };
+  if (env.SUMMARY_WEBHOOK_SECRET) {
+    const key = await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(env.SUMMARY_WEBHOOK_SECRET),
+      { name: 'HMAC', hash: 'SHA-256' },
+      false,
+      ['sign']
+    );
+    const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(payload));
+    headers['X-Signature'] = `sha256=${Array.from(new Uint8Array(signature)).map(b => b.toString(16).padStart(2, '0')).join('')}`;
+  }
 
-    // 制限チェック
-    if (requests.length >= maxRequests) {
-      const oldestRequest = Math.min(...requests);
-      const retryAfter = Math.ceil((oldestRequest + windowMs - now) / 1000);
+  const response = await fetchWithTimeout(env.SUMMARY_WEBHOOK_URL, {
+    method: 'POST',
+    headers,
+    body: payload,
+  }, SUMMARY_WEBHOOK_TIMEOUT_MS, null);
+  if (!response.ok) {
+    throw new Error(`Summary webhook responded with ${response.status}`);
+  }
 
-      return {
-        allowed: false,
-        retryAfter: retryAfter
-      };
-    }
+  return { sent: true };
+}
 
-    // 新しいリクエストを追加
-    requests.push(now);
+// JWT署名・検証のヘルパー関数
+// 鍵は JWT_KEYS（JSON）で複数指定でき、ヘッダーの kid で検証に使う鍵を選ぶ。未設定時は JWT_SECRET のHS256鍵1つ
+// { "current": "<署名に使うkid>", "keys": [{ "kid", "alg": "HS256" | "RS256" | "ES256" | "EdDSA", "secret" | "jwk", "notAfter" }] }
+// notAfter を過ぎた鍵は検証にも使わない（ローテーション時の猶予期間）
+const JWT_ALGORITHMS = {
+  HS256: {
+    importParams: { name: 'HMAC', hash: 'SHA-256' },
+    signParams: { name: 'HMAC' },
+    symmetric: true,
+  },
+  RS256: {
+    importParams: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+    signParams: { name: 'RSASSA-PKCS1-v1_5' },
+    symmetric: false,
+  },
+  ES256: {
+    importParams: { name: 'ECDSA', namedCurve: 'P-256' },
+    signParams: { name: 'ECDSA', hash: 'SHA-256' },
+    symmetric: false,
+  },
+  EdDSA: {
+    importParams: { name: 'Ed25519' },
+    signParams: { name: 'Ed25519' },
+    symmetric: false,
+  },
+};
 
-    // KVに保存（TTLを設定）
-    await env.RATE_LIMIT_KV.put(
-      rateLimitKey,
-      JSON.stringify(requests),
-      { expirationTtl: Math.ceil(windowMs / 1000) }
-    );
+// 取り込み済みの鍵（設定が変わった場合のみ取り込み直す）
+let jwtKeyringCache = null;
 
-    // ユーザー統計を更新
-    await updateUserStats(userId, env);
+async function loadJwtKeyring(env) {
+  const source = env.JWT_KEYS
+    ? (typeof env.JWT_KEYS === 'string' ? env.JWT_KEYS : JSON.stringify(env.JWT_KEYS))
+    : null;
 
-    return { allowed: true };
+  if (jwtKeyringCache && jwtKeyringCache.source === source && jwtKeyringCache.secret === env.JWT_SECRET) {
+    return jwtKeyringCache.keyring;
+  }
 
-  } catch (error) {
-    console.error('Rate limit check failed:', error);
-    // レート制限の確認に失敗した場合は通す
-    return { allowed: true };
+  const config = source
+    ? JSON.parse(source)
+    : { keys: [{ kid: 'default', alg: 'HS256', secret: env.JWT_SECRET }] };
+
+  if (!Array.isArray(config.keys) || config.keys.length === 0) {
+    throw new Error('JWT_KEYS must contain at least one key');
+  }
+
+  const keys = new Map();
+  for (const definition of config.keys) {
+    const entry = await importJwtKey(definition);
+    if (keys.has(entry.kid)) {
+      throw new Error(`Duplicate JWT key id: ${entry.kid}`);
+    }
+    keys.set(entry.kid, entry);
+  }
+
+  const signingKey = keys.get(config.current || config.keys[0].kid);
+  if (!signingKey) {
+    throw new Error(`Signing key "${config.current}" is not defined in JWT_KEYS`);
   }
+  if (signingKey.notAfter) {
+    throw new Error(`Signing key "${signingKey.kid}" is being retired`);
+  }
+
+  const keyring = { signingKey, keys };
+  jwtKeyringCache = { source, secret: env.JWT_SECRET, keyring };
+  return keyring;
 }
 
-// ユーザー統計の更新
-async function updateUserStats(userId, env) {
-  try {
-    const statsKey = `user_stats:${userId}`;
-    const now = Date.now();
-    const today = new Date(now).toISOString().split('T')[0];
+async function importJwtKey(definition) {
+  const { kid, alg, secret, jwk, notAfter } = definition;
+  const algorithm = JWT_ALGORITHMS[alg];
 
-    const existingStats = await env.USER_STATS_KV.get(statsKey);
-    let stats = existingStats ? JSON.parse(existingStats) : {
-      createdAt: now,
-      totalRequests: 0,
-      lastRequestAt: null,
-      dailyRequests: {}
-    };
+  if (!kid || typeof kid !== 'string') {
+    throw new Error('Each JWT key needs a kid');
+  }
+  if (!algorithm) {
+    throw new Error(`Unsupported JWT algorithm for key "${kid}": ${alg}`);
+  }
 
-    stats.totalRequests++;
-    stats.lastRequestAt = now;
-    stats.dailyRequests[today] = (stats.dailyRequests[today] || 0) + 1;
+  const entry = {
+    kid,
+    alg,
+    notAfter: notAfter ? new Date(notAfter).getTime() : null,
+    signKey: null,
+    verifyKey: null,
+    publicJwk: null,
+  };
 
-    // 古い日次データを削除（30日分のみ保持）
-    const cutoffDate = new Date(now - 30 * 24 * 60 * 60 * 1000);
-    Object.keys(stats.dailyRequests).forEach(date => {
-      if (new Date(date) < cutoffDate) {
-        delete stats.dailyRequests[date];
-      }
-    });
+  if (algorithm.symmetric) {
+    if (!secret) {
+      throw new Error(`JWT key "${kid}" needs a secret`);
+    }
+    const raw = new TextEncoder().encode(secret);
+    entry.signKey = await crypto.subtle.importKey('raw', raw, algorithm.importParams, false, ['sign']);
+    entry.verifyKey = await crypto.subtle.importKey('raw', raw, algorithm.importParams, false, ['verify']);
+    return entry;
+  }
 
-    await env.USER_STATS_KV.put(statsKey, JSON.stringify(stats));
-  } catch (error) {
-    console.error('Failed to update user stats:', error);
+  if (!jwk) {
+    throw new Error(`JWT key "${kid}" needs a jwk`);
   }
+
+  // 秘密鍵の成分（d、RSAは p・q 等も）を除いたものを公開鍵としてJWKSに載せる
+  const { d, p, q, dp, dq, qi, oth, key_ops, ext, ...publicJwk } = jwk;
+  entry.publicJwk = { ...publicJwk, kid, alg, use: 'sig' };
+  entry.verifyKey = await crypto.subtle.importKey('jwk', publicJwk, algorithm.importParams, false, ['verify']);
+  if (d) {
+    const { key_ops: privateKeyOps, ext: privateExt, ...privateJwk } = jwk;
+    entry.signKey = await crypto.subtle.importKey('jwk', privateJwk, algorithm.importParams, false, ['sign']);
+  }
+
+  return entry;
 }
 
-// JWT署名・検証のヘルパー関数
-async function signJWT(payload, secret) {
+async function signJWT(payload, env) {
+  const { signingKey } = await loadJwtKeyring(env);
+  if (!signingKey.signKey) {
+    throw new Error(`Signing key "${signingKey.kid}" has no private key`);
+  }
+
   const header = {
-    alg: 'HS256',
-    typ: 'JWT'
+    alg: signingKey.alg,
+    typ: 'JWT',
+    kid: signingKey.kid
   };
 
-  const encodedHeader = btoa(JSON.stringify(header));
-  const encodedPayload = btoa(JSON.stringify(payload));
+  const encodedHeader = base64UrlEncode(new TextEncoder().encode(JSON.stringify(header)));
+  const encodedPayload = base64UrlEncode(new TextEncoder().encode(JSON.stringify(payload)));
   const data = `${encodedHeader}.${encodedPayload}`;
 
-  const key = await crypto.subtle.importKey(
-    'raw',
-    new TextEncoder().encode(secret),
-    { name: 'HMAC', hash: 'SHA-256' },
-    false,
-    ['sign']
+  const signature = await crypto.subtle.sign(
+    JWT_ALGORITHMS[signingKey.alg].signParams,
+    signingKey.signKey,
+    new TextEncoder().encode(data)
   );
 
-  const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(data));
-  const encodedSignature = btoa(String.fromCharCode(...new Uint8Array(signature)));
-
-  return `${data}.${encodedSignature}`;
+  return `${data}.${base64UrlEncode(new Uint8Array(signature))}`;
 }
 
-async function verifyJWT(token, secret) {
+async function verifyJWT(token, env) {
   try {
-    const [encodedHeader, encodedPayload, encodedSignature] = token.split('.');
-
-    if (!encodedHeader || !encodedPayload || !encodedSignature) {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 3 || parts.some(part => !part)) {
       throw new Error('Invalid token format');
     }
 
-    const data = `${encodedHeader}.${encodedPayload}`;
+    const [encodedHeader, encodedPayload, encodedSignature] = parts;
+    const header = decodeJwtSegment(encodedHeader);
 
-    const key = await crypto.subtle.importKey(
-      'raw',
-      new TextEncoder().encode(secret),
-      { name: 'HMAC', hash: 'SHA-256' },
-      false,
-      ['verify']
-    );
+    // ヘッダーの厳密な検証（alg: none や鍵と異なるアルゴリズムへのすり替えを拒否）
+    if (!JWT_ALGORITHMS[header.alg]) {
+      throw new Error(`Unsupported algorithm: ${header.alg}`);
+    }
+    if (header.typ !== undefined && header.typ !== 'JWT') {
+      throw new Error(`Unsupported token type: ${header.typ}`);
+    }
+    if (header.crit !== undefined) {
+      throw new Error('Critical header parameters are not supported');
+    }
 
-    const signature = Uint8Array.from(atob(encodedSignature), c => c.charCodeAt(0));
+    const { keys } = await loadJwtKeyring(env);
+    const key = typeof header.kid === 'string' ? keys.get(header.kid) : null;
+    if (!key || key.alg !== header.alg) {
+      throw new Error('Unknown signing key');
+    }
+    if (key.notAfter && key.notAfter < Date.now()) {
+      throw new Error('Signing key has been retired');
+    }
 
     const isValid = await crypto.subtle.verify(
-      'HMAC',
-      key,
-      signature,
-      new TextEncoder().encode(data)
+      JWT_ALGORITHMS[key.alg].signParams,
+      key.verifyKey,
+      base64UrlDecode(encodedSignature),
+      new TextEncoder().encode(`${encodedHeader}.${encodedPayload}`)
     );
 
     if (!isValid) {
       throw new Error('Invalid signature');
     }
 
-    const payload = JSON.parse(atob(encodedPayload));
+    const payload = decodeJwtSegment(encodedPayload);
+    const now = Date.now() / 1000;
 
     // 有効期限チェック
-    if (payload.exp && payload.exp < Date.now() / 1000) {
+    if (payload.exp && payload.exp < now) {
       throw new Error('Token expired');
     }
+    if (payload.nbf && payload.nbf > now) {
+      throw new Error('Token not yet valid');
+    }
 
     return payload;
   } catch (error) {
     throw new Error(`Token verification failed: ${error.message}`);
   }
 }
-async function processApiResponse(data, userId) {
-  // 必要に応じてレスポンスを加工
-  // 例：ユーザーに応じた情報のフィルタリング
-  
-  // ログ記録
-  console.log(`API request processed for user: ${userId}`);
-  
+
+// 他のサービスが検証に使う公開鍵の一覧（HS256の鍵は共有鍵のため公開しない）
+async function getJwks(env) {
+  const { keys } = await loadJwtKeyring(env);
+  const now = Date.now();
+
   return {
-    ...data,
-    processedAt: new Date().toISOString(),
-    // 機密情報の除去なども可能
+    keys: Array.from(keys.values())
+      .filter(key => key.publicJwk && !(key.notAfter && key.notAfter < now))
+      .map(key => key.publicJwk),
   };
-}
\ No newline at end of file
+}
+
+// アカウント連携で受け付けるIDトークンの発行元（OIDC_ISSUERS: [{ issuer, audience, jwksUri, plan }]）
+// jwksUri を省略した場合は発行元の /.well-known/openid-configuration から取得する
+const OIDC_JWKS_CACHE_MS = 60 * 60 * 1000;
+const OIDC_JWKS_REFETCH_INTERVAL_MS = 60 * 1000;
+const OIDC_CLOCK_SKEW_SECONDS = 60;
+const OIDC_FETCH_TIMEOUT_MS = 5000;
+const oidcJwksCache = new Map();
+
+function getOidcIssuers(env) {
+  if (!env.OIDC_ISSUERS) {
+    return [];
+  }
+  return typeof env.OIDC_ISSUERS === 'string' ? JSON.parse(env.OIDC_ISSUERS) : env.OIDC_ISSUERS;
+}
+
+// IDトークンの検証（発行元のJWKSによる署名・iss・aud・有効期限）
+async function verifyIdToken(idToken, env) {
+  const parts = typeof idToken === 'string' ? idToken.split('.') : [];
+  if (parts.length !== 3 || parts.some(part => !part)) {
+    throw new Error('Invalid token format');
+  }
+
+  const [encodedHeader, encodedPayload, encodedSignature] = parts;
+  const header = decodeJwtSegment(encodedHeader);
+  const claims = decodeJwtSegment(encodedPayload);
+
+  // 署名検証前の iss で発行元を選ぶが、その発行元の鍵で検証するため偽装はできない
+  const provider = getOidcIssuers(env).find(entry => entry.issuer === claims.iss);
+  if (!provider) {
+    throw new Error(`Untrusted issuer: ${claims.iss}`);
+  }
+
+  const algorithm = JWT_ALGORITHMS[header.alg];
+  if (!algorithm || algorithm.symmetric) {
+    throw new Error(`Unsupported algorithm: ${header.alg}`);
+  }
+
+  const jwk = await findOidcSigningKey(provider, header.kid);
+  if (!jwk || (jwk.alg && jwk.alg !== header.alg)) {
+    throw new Error('Unknown signing key');
+  }
+
+  const { key_ops, use, ...material } = jwk;
+  const key = await crypto.subtle.importKey('jwk', material, algorithm.importParams, false, ['verify']);
+  const isValid = await crypto.subtle.verify(
+    algorithm.signParams,
+    key,
+    base64UrlDecode(encodedSignature),
+    new TextEncoder().encode(`${encodedHeader}.${encodedPayload}`)
+  );
+  if (!isValid) {
+    throw new Error('Invalid signature');
+  }
+
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (!audiences.includes(provider.audience)) {
+    throw new Error('Audience mismatch');
+  }
+  if (audiences.length > 1 && claims.azp !== undefined && claims.azp !== provider.audience) {
+    throw new Error('Authorized party mismatch');
+  }
+
+  const now = Date.now() / 1000;
+  if (typeof claims.exp !== 'number' || claims.exp + OIDC_CLOCK_SKEW_SECONDS < now) {
+    throw new Error('ID token expired');
+  }
+  if (typeof claims.iat === 'number' && claims.iat - OIDC_CLOCK_SKEW_SECONDS > now) {
+    throw new Error('ID token issued in the future');
+  }
+  if (typeof claims.nbf === 'number' && claims.nbf - OIDC_CLOCK_SKEW_SECONDS > now) {
+    throw new Error('ID token not yet valid');
+  }
+  if (typeof claims.sub !== 'string' || !claims.sub) {
+    throw new Error('ID token has no subject');
+  }
+
+  return { issuer: claims.iss, subject: claims.sub, plan: provider.plan || null };
+}
+
+// 発行元のJWKSから kid に一致する鍵を探す（見つからない場合は鍵の更新を考慮して取得し直す）
+async function findOidcSigningKey(provider, kid) {
+  const selectKey = keys => (kid
+    ? keys.find(key => key.kid === kid)
+    : (keys.length === 1 ? keys[0] : null));
+
+  const now = Date.now();
+  let cached = oidcJwksCache.get(provider.issuer);
+  if (!cached || now - cached.fetchedAt > OIDC_JWKS_CACHE_MS) {
+    cached = await fetchOidcJwks(provider);
+  }
+
+  let key = selectKey(cached.keys);
+  if (!key && now - cached.fetchedAt > OIDC_JWKS_REFETCH_INTERVAL_MS) {
+    cached = await fetchOidcJwks(provider);
+    key = selectKey(cached.keys);
+  }
+
+  return key || null;
+}
+
+async function fetchOidcJwks(provider) {
+  let jwksUri = provider.jwksUri;
+  if (!jwksUri) {
+    const discoveryUrl = `${provider.issuer.replace(/\/$/, '')}/.well-known/openid-configuration`;
+    const discovery = await fetchWithTimeout(discoveryUrl, {}, OIDC_FETCH_TIMEOUT_MS);
+    if (!discovery.ok) {
+      throw new Error(`OpenID configuration request failed with ${discovery.status}`);
+    }
+    ({ jwks_uri: jwksUri } = await discovery.json());
+  }
+
+  const response = await fetchWithTimeout(jwksUri, {}, OIDC_FETCH_TIMEOUT_MS);
+  if (!response.ok) {
+    throw new Error(`JWKS request failed with ${response.status}`);
+  }
+
+  const { keys } = await response.json();
+  const entry = { keys: Array.isArray(keys) ? keys : [], fetchedAt: Date.now() };
+  oidcJwksCache.set(provider.issuer, entry);
+  return entry;
+}
+
+function decodeJwtSegment(segment) {
+  const value = JSON.parse(new TextDecoder().decode(base64UrlDecode(segment)));
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error('Invalid token segment');
+  }
+  return value;
+}
+
+function base64UrlEncode(bytes) {
+  let binary = '';
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// パディングなしのbase64urlのみ受け付ける
+function base64UrlDecode(text) {
+  if (!/^[A-Za-z0-9_-]*$/.test(text) || text.length % 4 === 1) {
+    throw new Error('Invalid base64url encoding');
+  }
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '=')), c => c.charCodeAt(0));
+}
+
+// 外部APIのエラーレスポンスを共通形式に変換（本文は転送もログ出力もしない、ステータスは構造化ログの upstreamStatus に記録）
+function normalizeUpstreamError(status, retryAfter = null) {
+  if (status === 400 || status === 422) {
+    return { status: 400, body: { error: 'Upstream rejected the request', code: 'upstream_rejected_request' } };
+  }
+  if (status === 404) {
+    return { status: 404, body: { error: 'Resource not found', code: 'upstream_not_found' } };
+  }
+  // 外部APIの混雑はクライアントのクォータ超過（429）と区別して503とし、外部APIの Retry-After を引き継ぐ
+  if (status === 429) {
+    return {
+      status: 503,
+      body: { error: 'Upstream is busy', code: 'upstream_rate_limited', ...(retryAfter != null ? { retryAfter } : {}) },
+      headers: retryAfter != null ? { 'Retry-After': retryAfter.toString() } : {},
+    };
+  }
+
+  // 401/403は当方の認証情報の問題、5xxは外部APIの障害としてまとめて扱う
+  return { status: 502, body: { error: `Upstream responded with ${status}`, code: 'upstream_error' } };
+}
+
+// レスポンス加工パイプライン（allow → deny → rename → mask → redact → envelope の順に適用）
+// パスはドット区切りで、"[]" は配列の全要素、"*" はオブジェクトの全キーに一致する
+async function processApiResponse(data, route) {
+  const config = route.options.response;
+
+  // 設定がないルートは従来どおり処理時刻のみ付与
+  if (!config) {
+    return {
+      ...data,
+      processedAt: new Date().toISOString(),
+    };
+  }
+
+  let result = structuredClone(data);
+
+  if (config.allow) {
+    result = config.allow
+      .map(path => pickPath(result, parseResponsePath(path)))
+      .reduce((merged, picked) => mergePicked(merged, picked), undefined);
+    if (result === undefined) {
+      result = {};
+    }
+  }
+
+  for (const path of config.deny || []) {
+    updatePath(result, parseResponsePath(path), (parent, key) => {
+      delete parent[key];
+    });
+  }
+
+  for (const [path, newName] of Object.entries(config.rename || {})) {
+    updatePath(result, parseResponsePath(path), (parent, key) => {
+      parent[newName] = parent[key];
+      delete parent[key];
+    });
+  }
+
+  for (const path of config.mask || []) {
+    updatePath(result, parseResponsePath(path), (parent, key) => {
+      parent[key] = REDACTED;
+    });
+  }
+
+  if (config.redact) {
+    result = redactStrings(result, config.redact.map(resolveRedactionPattern));
+  }
+
+  if (config.envelope) {
+    return {
+      data: result,
+      meta: {
+        route: route.name,
+        processedAt: new Date().toISOString(),
+      },
+    };
+  }
+
+  return result;
+}
+
+const REDACTED = '[REDACTED]';
+
+// 組み込みの秘匿パターン（options.response.redact で名前または { pattern, flags } を指定）
+const REDACTION_PATTERNS = {
+  email: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g,
+  phone: /\+?\d[\d -]{8,}\d/g,
+  creditCard: /\b(?:\d[ -]?){13,16}\b/g,
+  apiKey: /\b(?:sk|pk|rk)_(?:live|test)_[A-Za-z0-9]{8,}\b|\bsk-[A-Za-z0-9_-]{16,}\b|\bAKIA[0-9A-Z]{16}\b/g,
+  jwt: /\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\b/g,
+};
+
+function resolveRedactionPattern(entry) {
+  if (typeof entry === 'string') {
+    const pattern = REDACTION_PATTERNS[entry];
+    if (!pattern) {
+      throw new Error(`Unknown redaction pattern: ${entry}`);
+    }
+    return pattern;
+  }
+  return new RegExp(entry.pattern, entry.flags || 'g');
+}
+
+function redactStrings(value, patterns) {
+  if (typeof value === 'string') {
+    return patterns.reduce((text, pattern) => text.replace(pattern, REDACTED), value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redactStrings(item, patterns));
+  }
+  if (value && typeof value === 'object') {
+    const result = {};
+    for (const [key, child] of Object.entries(value)) {
+      result[key] = redactStrings(child, patterns);
+    }
+    return result;
+  }
+  return value;
+}
+
+// "results[].id" → ['results', '[]', 'id']
+function parseResponsePath(path) {
+  return path
+    .replace(/\[\]/g, '.[]')
+    .split('.')
+    .filter(Boolean);
+}
+
+// 指定パスの値だけを残した部分構造を返す（一致しなければundefined）
+function pickPath(value, segments) {
+  if (segments.length === 0) {
+    return value;
+  }
+
+  const [segment, ...rest] = segments;
+
+  if (segment === '[]') {
+    return Array.isArray(value) ? value.map(item => pickPath(item, rest)) : undefined;
+  }
+
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return undefined;
+  }
+
+  const keys = segment === '*' ? Object.keys(value) : [segment];
+  const picked = {};
+  let found = false;
+  for (const key of keys) {
+    if (!(key in value)) continue;
+    const child = pickPath(value[key], rest);
+    if (child !== undefined) {
+      picked[key] = child;
+      found = true;
+    }
+  }
+
+  return found ? picked : undefined;
+}
+
+// 複数パスで取り出した部分構造の結合
+function mergePicked(target, source) {
+  if (target === undefined) return source;
+  if (source === undefined) return target;
+
+  if (Array.isArray(target) && Array.isArray(source)) {
+    return target.map((item, index) => mergePicked(item, source[index]));
+  }
+  if (target && source && typeof target === 'object' && typeof source === 'object') {
+    const merged = { ...target };
+    for (const [key, child] of Object.entries(source)) {
+      merged[key] = mergePicked(merged[key], child);
+    }
+    return merged;
+  }
+
+  return source;
+}
+
+// 指定パスに一致するすべての (親, キー) に対して操作を適用
+function updatePath(value, segments, apply) {
+  if (!value || typeof value !== 'object' || segments.length === 0) {
+    return;
+  }
+
+  const [segment, ...rest] = segments;
+
+  if (segment === '[]') {
+    if (Array.isArray(value)) {
+      value.forEach(item => updatePath(item, rest, apply));
+    }
+    return;
+  }
+
+  const keys = segment === '*' ? Object.keys(value) : [segment];
+  for (const key of keys) {
+    if (!(key in value)) continue;
+    if (rest.length === 0) {
+      apply(value, key);
+    } else {
+      updatePath(value[key], rest, apply);
+    }
+  }
+}
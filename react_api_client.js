@@ -1,11 +1,69 @@
 // React PWA側でのAPIクライアント実装（匿名トークン対応）
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
+
+// アクセストークンを期限切れ前に更新するまでの余裕
+const TOKEN_REFRESH_MARGIN_MS = 30 * 1000;
+
+// WebSocketルートへの接続時にトークンと一緒に送るサブプロトコル
+const WEBSOCKET_PROXY_PROTOCOL = 'api-proxy';
+// 再接続しないクローズコード（正常終了・クォータ超過・メッセージサイズ超過）
+const NON_RECONNECTABLE_CLOSE_CODES = [1000, 1008, 1009];
+
+// 1回の一括リクエストにまとめる件数の上限（Worker側の上限と同じ）
+const BATCH_MAX_REQUESTS = 20;
+
+// 同じティック内に coalesce 指定で呼ばれたリクエスト（全クライアント・フックで共有）
+let pendingBatch = null;
+
+// 読み込み済みのリクエスト署名鍵（{ id, key }、id は保存のたびに変わる LocalStorage の anonymousSigningKeyId）
+let signingKeyCache = null;
+// 保存中の署名鍵（保存が終わるまで署名を待つ）
+let pendingSigningKey = null;
+
+// DPoPの端末鍵・リクエスト署名鍵を保存するIndexedDB（取り出せないCryptoKeyのまま保存）
+const KEY_DB_NAME = 'api-proxy-client';
+const KEY_STORE_NAME = 'keys';
+const DPOP_KEY_ID = 'dpop';
+const SIGNING_KEY_ID = 'signing';
+
+// 読み込み中・読み込み済みの端末鍵（{ privateKey, publicJwk }、非対応の環境ではnull）
+let dpopKeyPromise = null;
+
+// 実行中のトークン更新（複数のクライアント・フック間で共有）
+let pendingRefresh = null;
+
+// トークン更新のタブ間のロック名（同じリフレッシュトークンを複数のタブで使うとファミリーごと失効するため）
+const REFRESH_LOCK_NAME = 'api-proxy-refresh';
+
+// 最新のクォータ状態（レスポンスのRateLimit-*ヘッダーから更新し、全クライアント・フックで共有）
+let quotaState = null;
+const quotaListeners = new Set();
+
+function updateQuotaFromResponse(response) {
+  const limit = response.headers.get('RateLimit-Limit');
+  const remaining = response.headers.get('RateLimit-Remaining');
+  const reset = response.headers.get('RateLimit-Reset');
+
+  if (limit === null || remaining === null) {
+    return;
+  }
+
+  quotaState = {
+    limit: Number(limit),
+    remaining: Number(remaining),
+    resetAt: Date.now() + Number(reset || 0) * 1000,
+  };
+  quotaListeners.forEach(listener => listener(quotaState));
+}
 
 // APIクライアントクラス
 class ApiClient {
-  constructor(baseUrl) {
+  // options.getHumanVerificationToken: 人間確認が有効な場合にプロバイダー名を受け取り検証トークンを返す関数
+  // options.dpop: false の場合はトークンを端末の鍵に束縛しない（デフォルトは束縛）
+  constructor(baseUrl, options = {}) {
     this.baseUrl = baseUrl;
+    this.options = options;
   }
 
   async ensureToken() {
@@ -13,57 +71,176 @@ class ApiClient {
     let tokenData = localStorage.getItem('anonymousTokenData');
     
     if (!token || !tokenData) {
-      return await this.generateNewToken();
+      return await this.refreshAccessToken();
     }
     
     try {
       const data = JSON.parse(tokenData);
       
-      // トークンの有効期限チェック
-      if (Date.now() > data.expiresAt) {
-        return await this.generateNewToken();
+      // トークンの有効期限チェック（期限の少し前に更新）
+      if (Date.now() > data.expiresAt - TOKEN_REFRESH_MARGIN_MS) {
+        return await this.refreshAccessToken();
       }
       
       return { token, data };
     } catch (error) {
+      return await this.refreshAccessToken();
+    }
+  }
+
+  // リフレッシュトークンでアクセストークンを更新（匿名IDと統計を引き継ぐ）
+  // リフレッシュトークンは使い捨てのため、同時に呼ばれても更新リクエストは1回にまとめる
+  // 他のタブとは Web Locks で排他し、待っている間に他のタブが更新した場合はそのトークンを使う
+  async refreshAccessToken() {
+    if (!pendingRefresh) {
+      const previousRefreshToken = localStorage.getItem('anonymousRefreshToken');
+      pendingRefresh = withRefreshLock(() => this.refreshUnlessRotated(previousRefreshToken)).finally(() => {
+        pendingRefresh = null;
+      });
+    }
+    return pendingRefresh;
+  }
+
+  async refreshUnlessRotated(previousRefreshToken) {
+    const refreshToken = localStorage.getItem('anonymousRefreshToken');
+    const token = localStorage.getItem('anonymousToken');
+    const tokenData = localStorage.getItem('anonymousTokenData');
+
+    if (refreshToken && refreshToken !== previousRefreshToken && token && tokenData) {
+      try {
+        return { token, data: JSON.parse(tokenData) };
+      } catch (error) {
+        // 保存内容が壊れている場合は通常どおり更新
+      }
+    }
+
+    return this.performRefresh();
+  }
+
+  async performRefresh() {
+    const refreshToken = localStorage.getItem('anonymousRefreshToken');
+    if (!refreshToken) {
+      return await this.generateNewToken();
+    }
+
+    const response = await fetch(`${this.baseUrl}/api/token/refresh`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(await this.buildDpopHeaders('POST', '/api/token/refresh')),
+      },
+      body: JSON.stringify({ refreshToken }),
+    });
+
+    // リフレッシュトークンが無効・失効済みの場合のみ新しい匿名IDを発行
+    if (response.status === 401 || response.status === 400) {
       return await this.generateNewToken();
     }
+
+    if (!response.ok) {
+      throw new Error('Token refresh failed');
+    }
+
+    return this.storeTokens(await response.json());
   }
 
   async generateNewToken() {
     try {
+      const body = await this.solveTokenChallenge();
+
       const response = await fetch(`${this.baseUrl}/api/token`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          ...(await this.buildDpopHeaders('POST', '/api/token')),
         },
+        body: JSON.stringify(body),
       });
 
       if (!response.ok) {
         throw new Error('Token generation failed');
       }
 
-      const data = await response.json();
-      
-      // LocalStorageに保存
-      localStorage.setItem('anonymousToken', data.token);
-      localStorage.setItem('anonymousTokenData', JSON.stringify(data));
-      
-      return { token: data.token, data };
+      return this.storeTokens(await response.json());
     } catch (error) {
       console.error('Failed to generate token:', error);
       throw error;
     }
   }
 
+  // トークン発行用チャレンジの取得と解決（人間確認・プルーフオブワーク）
+  async solveTokenChallenge() {
+    const response = await fetch(`${this.baseUrl}/api/token/challenge`);
+    if (!response.ok) {
+      throw new Error('Token challenge request failed');
+    }
+
+    const challenge = await response.json();
+    const body = {};
+
+    if (challenge.humanVerification) {
+      if (!this.options.getHumanVerificationToken) {
+        throw new Error('Human verification is required but no verifier is configured');
+      }
+      body.humanVerification = {
+        token: await this.options.getHumanVerificationToken(challenge.humanVerification),
+      };
+    }
+
+    if (challenge.difficulty > 0) {
+      body.proofOfWork = {
+        challenge: challenge.challenge,
+        nonce: await solveProofOfWork(challenge.challenge, challenge.difficulty),
+      };
+    }
+
+    return body;
+  }
+
+  // OIDCのIDトークンで現在の匿名IDをアカウントに連携（統計を引き継ぎ、以降はuserトークンを使用）
+  async linkAccount(idToken) {
+    const { token, data } = await this.ensureToken();
+
+    const response = await fetch(`${this.baseUrl}/api/account/link`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(await this.buildAuthHeaders('POST', '/api/account/link', token, data)),
+      },
+      body: JSON.stringify({ idToken }),
+    });
+
+    if (!response.ok) {
+      throw await createResponseError(response);
+    }
+
+    return this.storeTokens(await response.json()).data;
+  }
+
+  storeTokens(response) {
+    const { refreshToken, signingKey, ...data } = response;
+
+    // LocalStorageに保存（署名鍵はリクエスト署名が有効な場合のみ発行され、IndexedDBに保存する）
+    localStorage.setItem('anonymousToken', data.token);
+    localStorage.setItem('anonymousTokenData', JSON.stringify(data));
+    localStorage.setItem('anonymousRefreshToken', refreshToken);
+    storeSigningKey(signingKey || null);
+
+    return { token: data.token, data };
+  }
+
+  // options.coalesce が true の場合、同じティック内の呼び出しを /api/batch にまとめて送信
   async request(endpoint, options = {}) {
-    const { token } = await this.ensureToken();
+    if (options.coalesce) {
+      return this.enqueueBatch(endpoint, options);
+    }
+
+    const { token, data } = await this.ensureToken();
     
     const config = {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
-        'Authorization': `Bearer ${token}`,
         ...options.headers,
       },
       ...options,
@@ -74,27 +251,35 @@ class ApiClient {
     }
 
     try {
+      Object.assign(
+        config.headers,
+        await this.buildAuthHeaders(config.method, endpoint, token, data),
+        await this.buildSignatureHeaders(config.method, endpoint, config.body)
+      );
       const response = await fetch(`${this.baseUrl}${endpoint}`, config);
+      updateQuotaFromResponse(response);
       
       if (!response.ok) {
-        // トークンが無効な場合は再生成
+        // トークンが無効な場合は更新
         if (response.status === 401) {
-          await this.generateNewToken();
-          // 再試行
-          const { token: newToken } = await this.ensureToken();
-          config.headers['Authorization'] = `Bearer ${newToken}`;
+          const { token: newToken, data: newData } = await this.refreshAccessToken();
+          // 再試行（署名・DPoPの証明は新しいタイムスタンプ・nonceで作り直す）
+          Object.assign(
+            config.headers,
+            await this.buildAuthHeaders(config.method, endpoint, newToken, newData),
+            await this.buildSignatureHeaders(config.method, endpoint, config.body)
+          );
           const retryResponse = await fetch(`${this.baseUrl}${endpoint}`, config);
+          updateQuotaFromResponse(retryResponse);
           
           if (!retryResponse.ok) {
-            const errorData = await retryResponse.json().catch(() => ({}));
-            throw new ApiError(retryResponse.status, errorData.error || 'API request failed');
+            throw await createResponseError(retryResponse);
           }
           
           return await retryResponse.json();
         }
         
-        const errorData = await response.json().catch(() => ({}));
-        throw new ApiError(response.status, errorData.error || 'API request failed');
+        throw await createResponseError(response);
       }
 
       return await response.json();
@@ -102,7 +287,279 @@ class ApiClient {
       if (error instanceof ApiError) {
         throw error;
       }
-      throw new ApiError(0, 'Network error');
+      throw new ApiError(0, 'Network error', { code: 'network_error' });
+    }
+  }
+
+  // ストリーミングレスポンス（SSE等）をイベント単位で順次返す
+  async *stream(endpoint, options = {}) {
+    const { token, data } = await this.ensureToken();
+    const { signal, ...requestOptions } = options;
+
+    const config = {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'text/event-stream',
+        ...requestOptions.headers,
+      },
+      ...requestOptions,
+      signal,
+    };
+
+    if (requestOptions.body && typeof requestOptions.body === 'object') {
+      config.body = JSON.stringify(requestOptions.body);
+    }
+
+    let response;
+    try {
+      Object.assign(
+        config.headers,
+        await this.buildAuthHeaders(config.method, endpoint, token, data),
+        await this.buildSignatureHeaders(config.method, endpoint, config.body)
+      );
+      response = await fetch(`${this.baseUrl}${endpoint}`, config);
+
+      // トークンが無効な場合は更新して再試行
+      if (response.status === 401) {
+        const { token: newToken, data: newData } = await this.refreshAccessToken();
+        Object.assign(
+          config.headers,
+          await this.buildAuthHeaders(config.method, endpoint, newToken, newData),
+          await this.buildSignatureHeaders(config.method, endpoint, config.body)
+        );
+        response = await fetch(`${this.baseUrl}${endpoint}`, config);
+      }
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        return;
+      }
+      throw new ApiError(0, 'Network error', { code: 'network_error' });
+    }
+
+    updateQuotaFromResponse(response);
+
+    if (!response.ok) {
+      throw await createResponseError(response);
+    }
+
+    const isEventStream = (response.headers.get('Content-Type') || '').includes('text/event-stream');
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        const text = decoder.decode(value, { stream: true });
+
+        // SSE以外はチャンクをそのまま返す
+        if (!isEventStream) {
+          yield { event: 'chunk', data: text, id: null };
+          continue;
+        }
+
+        buffer += text;
+        const blocks = buffer.split(/\r?\n\r?\n/);
+        buffer = blocks.pop();
+
+        for (const block of blocks) {
+          const event = parseServerSentEvent(block);
+          if (event) yield event;
+        }
+      }
+
+      if (isEventStream && buffer.trim()) {
+        const event = parseServerSentEvent(buffer);
+        if (event) yield event;
+      }
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        throw new ApiError(0, 'Stream interrupted');
+      }
+    } finally {
+      reader.releaseLock();
+    }
+  }
+
+  // WebSocketルートへの接続（トークンとDPoPの証明はサブプロトコルで渡し、切断時は指数バックオフで自動再接続）
+  // 戻り値の send / close で操作し、onOpen・onMessage・onClose で状態を受け取る
+  connect(endpoint, options = {}) {
+    const { protocols = [], onOpen, onMessage, onClose, reconnect = {} } = options;
+    const maxAttempts = reconnect.maxAttempts ?? Infinity;
+    const baseDelayMs = reconnect.baseDelayMs ?? 1000;
+    const maxDelayMs = reconnect.maxDelayMs ?? 30000;
+    const httpUrl = `${this.baseUrl}${endpoint}`;
+    const url = httpUrl.replace(/^http/, 'ws');
+
+    let socket = null;
+    let stopped = false;
+    let attempts = 0;
+    let reconnectTimer = null;
+
+    const open = async (forceRefresh) => {
+      const authProtocols = [];
+      try {
+        const { token, data } = forceRefresh ? await this.refreshAccessToken() : await this.ensureToken();
+        authProtocols.push(`bearer.${token}`);
+        // 証明のhtuはハンドシェイクのHTTP(S)のURL
+        const proof = data.tokenBinding === 'dpop' ? await this.createDpopProof('GET', httpUrl, token) : null;
+        if (proof) authProtocols.push(`dpop.${proof}`);
+      } catch (error) {
+        scheduleReconnect(false);
+        return;
+      }
+      if (stopped) return;
+
+      let opened = false;
+      socket = new WebSocket(url, [WEBSOCKET_PROXY_PROTOCOL, ...authProtocols, ...protocols]);
+      socket.binaryType = 'arraybuffer';
+      socket.onopen = () => {
+        opened = true;
+        attempts = 0;
+        if (onOpen) onOpen();
+      };
+      socket.onmessage = event => {
+        if (onMessage) onMessage(event.data);
+      };
+      socket.onclose = event => {
+        socket = null;
+        if (onClose) onClose({ code: event.code, reason: event.reason });
+
+        // 自分で閉じた場合・クォータ超過・サイズ超過は再接続しない
+        if (stopped || NON_RECONNECTABLE_CLOSE_CODES.includes(event.code)) return;
+        // 接続前に拒否された場合はトークンが失効している可能性があるため更新してから再接続
+        scheduleReconnect(!opened);
+      };
+    };
+
+    const scheduleReconnect = (forceRefresh) => {
+      if (stopped || attempts >= maxAttempts) return;
+      const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** attempts) * (0.5 + Math.random() / 2);
+      attempts++;
+      reconnectTimer = setTimeout(() => open(forceRefresh), delay);
+    };
+
+    open(false);
+
+    return {
+      send(data) {
+        if (!socket || socket.readyState !== WebSocket.OPEN) {
+          throw new ApiError(0, 'WebSocket is not connected', { code: 'not_connected' });
+        }
+        socket.send(data);
+      },
+      close(code = 1000, reason = '') {
+        stopped = true;
+        clearTimeout(reconnectTimer);
+        if (socket) socket.close(code, reason);
+      },
+      get connected() {
+        return Boolean(socket && socket.readyState === WebSocket.OPEN);
+      },
+    };
+  }
+
+  // 一括リクエスト（requests: [{ id, path, method, body }]、結果は要素毎の { id, status, headers, body }）
+  async batch(requests) {
+    const { responses } = await this.request('/api/batch', {
+      method: 'POST',
+      body: { requests },
+    });
+    return responses;
+  }
+
+  enqueueBatch(endpoint, options) {
+    return new Promise((resolve, reject) => {
+      if (!pendingBatch) {
+        const batch = { client: this, entries: [] };
+        pendingBatch = batch;
+        setTimeout(() => {
+          pendingBatch = null;
+          batch.client.flushBatch(batch.entries);
+        }, 0);
+      }
+      pendingBatch.entries.push({ endpoint, options, resolve, reject });
+    });
+  }
+
+  // まとめたリクエストの送信（1件だけの場合は通常のリクエスト、要素毎の失敗はApiErrorとして返す）
+  flushBatch(entries) {
+    if (entries.length === 1) {
+      const [{ endpoint, options, resolve, reject }] = entries;
+      this.request(endpoint, { ...options, coalesce: false }).then(resolve, reject);
+      return;
+    }
+
+    // JSONとして送れないボディの呼び出しのみ失敗させ、同じティックの他の呼び出しは送信する
+    const batchable = [];
+    for (const entry of entries) {
+      try {
+        batchable.push({ ...entry, item: toBatchItem(entry.endpoint, entry.options) });
+      } catch (error) {
+        entry.reject(new ApiError(0, 'Coalesced request body must be JSON', { code: 'invalid_body' }));
+      }
+    }
+
+    for (let i = 0; i < batchable.length; i += BATCH_MAX_REQUESTS) {
+      const chunk = batchable.slice(i, i + BATCH_MAX_REQUESTS);
+      const requests = chunk.map(({ item }, index) => ({ id: index, ...item }));
+
+      this.batch(requests).then(responses => {
+        responses.forEach((item, index) => {
+          const { resolve, reject } = chunk[index];
+          if (item.status >= 200 && item.status < 300) {
+            resolve(item.body);
+            return;
+          }
+          const errorData = item.body && typeof item.body === 'object' ? item.body : {};
+          reject(new ApiError(item.status, errorData.error || 'API request failed', {
+            ...errorData,
+            requestId: item.headers['X-Request-Id'],
+          }));
+        });
+      }, error => chunk.forEach(({ reject }) => reject(error)));
+    }
+  }
+
+  // 非同期ルートへのジョブ登録（戻り値は { jobId, status, statusUrl }）
+  async submitJob(endpoint, body, options = {}) {
+    return this.request(endpoint, {
+      ...options,
+      method: options.method || 'POST',
+      body,
+    });
+  }
+
+  // ジョブの完了を待って結果のボディを返す（間隔を伸ばしながらポーリング、失敗したジョブはApiError）
+  // signal で待機を中断できる（ジョブ自体は取り消されない）
+  async waitForJob(jobId, { intervalMs = 1000, maxIntervalMs = 10000, timeoutMs = 5 * 60 * 1000, signal, onProgress } = {}) {
+    const deadline = Date.now() + timeoutMs;
+    let delay = intervalMs;
+
+    while (true) {
+      if (signal?.aborted) {
+        throw new ApiError(0, 'Job wait aborted', { code: 'aborted' });
+      }
+
+      const job = await this.request(`/api/jobs/${encodeURIComponent(jobId)}`, { method: 'GET' });
+      onProgress?.(job);
+
+      if (job.status === 'succeeded') {
+        return job.result.body;
+      }
+      if (job.status === 'failed') {
+        const errorData = job.result.body && typeof job.result.body === 'object' ? job.result.body : {};
+        throw new ApiError(job.result.status, errorData.error || 'Job failed', errorData);
+      }
+
+      if (Date.now() + delay > deadline) {
+        throw new ApiError(0, 'Job did not finish in time', { code: 'job_timeout' });
+      }
+      await waitForDelay(delay, signal);
+      delay = Math.min(maxIntervalMs, delay * 2);
     }
   }
 
@@ -113,6 +570,101 @@ class ApiClient {
     });
   }
 
+  // 利用統計とウィンドウ毎の残りクォータの取得
+  async getUsage() {
+    return this.request('/api/usage', { method: 'GET' });
+  }
+
+  // 直近のレスポンスから得たクォータ状態（{ limit, remaining, resetAt }、未取得ならnull）
+  getQuota() {
+    return quotaState;
+  }
+
+  // 認証ヘッダー（DPoPで束縛されたトークンは DPoP スキームと証明、それ以外はBearer）
+  async buildAuthHeaders(method, endpoint, token, data) {
+    if (data && data.tokenBinding === 'dpop') {
+      const proof = await this.createDpopProof(method, `${this.baseUrl}${endpoint}`, token);
+      if (proof) {
+        return { 'Authorization': `DPoP ${token}`, 'DPoP': proof };
+      }
+    }
+    return { 'Authorization': `Bearer ${token}` };
+  }
+
+  // トークンの発行・更新リクエストに付けるDPoPの証明（端末鍵がない場合は空で、束縛されないトークンが発行される）
+  async buildDpopHeaders(method, endpoint) {
+    const proof = await this.createDpopProof(method, `${this.baseUrl}${endpoint}`);
+    return proof ? { 'DPoP': proof } : {};
+  }
+
+  // DPoPの証明（端末鍵で署名したJWT、htuはクエリを除くURL、athはアクセストークンのSHA-256）
+  async createDpopProof(method, url, accessToken = null) {
+    if (this.options.dpop === false) {
+      return null;
+    }
+
+    const key = await loadDpopKey();
+    if (!key) {
+      return null;
+    }
+
+    const target = new URL(url);
+    const header = { typ: 'dpop+jwt', alg: 'ES256', jwk: key.publicJwk };
+    const payload = {
+      htm: method.toUpperCase(),
+      htu: `${target.origin}${target.pathname}`,
+      iat: Math.floor(Date.now() / 1000),
+      jti: bytesToBase64Url(crypto.getRandomValues(new Uint8Array(16))),
+    };
+    if (accessToken) {
+      const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(accessToken));
+      payload.ath = bytesToBase64Url(new Uint8Array(digest));
+    }
+
+    const signingInput = `${encodeJsonSegment(header)}.${encodeJsonSegment(payload)}`;
+    const signature = await crypto.subtle.sign(
+      { name: 'ECDSA', hash: 'SHA-256' },
+      key.privateKey,
+      new TextEncoder().encode(signingInput)
+    );
+
+    return `${signingInput}.${bytesToBase64Url(new Uint8Array(signature))}`;
+  }
+
+  // リクエスト署名のヘッダー（署名鍵がない場合は空）
+  // 「メソッド\nパス+クエリ\nタイムスタンプ\nnonce\nボディのSHA-256」をHMAC-SHA256で署名
+  async buildSignatureHeaders(method, endpoint, body) {
+    const signingKey = await loadSigningKey();
+    if (!signingKey) {
+      return {};
+    }
+
+    const url = new URL(`${this.baseUrl}${endpoint}`);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const nonce = bytesToBase64Url(crypto.getRandomValues(new Uint8Array(16)));
+    const bodyBytes = typeof body === 'string' || body == null
+      ? new TextEncoder().encode(body || '')
+      : await new Response(body).arrayBuffer();
+    const bodyHash = Array.from(new Uint8Array(await crypto.subtle.digest('SHA-256', bodyBytes)))
+      .map(b => b.toString(16).padStart(2, '0'))
+      .join('');
+
+    const canonical = [method.toUpperCase(), `${url.pathname}${url.search}`, timestamp, nonce, bodyHash].join('\n');
+    const signature = await crypto.subtle.sign('HMAC', signingKey, new TextEncoder().encode(canonical));
+
+    return {
+      'X-Signature': bytesToBase64Url(new Uint8Array(signature)),
+      'X-Signature-Timestamp': timestamp,
+      'X-Signature-Nonce': nonce,
+    };
+  }
+
+  // クォータ状態の変更を購読（戻り値は購読解除関数）
+  subscribeQuota(listener) {
+    quotaListeners.add(listener);
+    return () => quotaListeners.delete(listener);
+  }
+
   getUserInfo() {
     const tokenData = localStorage.getItem('anonymousTokenData');
     if (tokenData) {
@@ -126,24 +678,289 @@ class ApiClient {
   }
 }
 
-// カスタムエラークラス
+// タブ間で排他してトークンを更新（Web Locks非対応の環境ではそのまま実行）
+function withRefreshLock(callback) {
+  if (typeof navigator === 'undefined' || !navigator.locks) {
+    return callback();
+  }
+  return navigator.locks.request(REFRESH_LOCK_NAME, callback);
+}
+
+// プルーフオブワークの解決（SHA-256(challenge:nonce)の先頭difficultyビットが0になるnonceを探索）
+async function solveProofOfWork(challenge, difficulty) {
+  const encoder = new TextEncoder();
+
+  for (let nonce = 0; ; nonce++) {
+    const digest = await crypto.subtle.digest('SHA-256', encoder.encode(`${challenge}:${nonce}`));
+    if (countLeadingZeroBits(new Uint8Array(digest)) >= difficulty) {
+      return String(nonce);
+    }
+  }
+}
+
+function countLeadingZeroBits(bytes) {
+  let bits = 0;
+  for (const byte of bytes) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    bits += Math.clz32(byte) - 24;
+    break;
+  }
+  return bits;
+}
+
+// SSEの1イベント分のテキストを解析
+function parseServerSentEvent(block) {
+  let event = 'message';
+  let id = null;
+  const dataLines = [];
+
+  for (const line of block.split(/\r?\n/)) {
+    if (!line || line.startsWith(':')) continue;
+
+    const separatorIndex = line.indexOf(':');
+    const field = separatorIndex === -1 ? line : line.slice(0, separatorIndex);
+    const value = separatorIndex === -1 ? '' : line.slice(separatorIndex + 1).replace(/^ /, '');
+
+    if (field === 'event') event = value;
+    else if (field === 'id') id = value;
+    else if (field === 'data') dataLines.push(value);
+  }
+
+  if (dataLines.length === 0) {
+    return null;
+  }
+
+  return { event, data: dataLines.join('\n'), id };
+}
+
+// カスタムエラークラス（codeはWorkerが返すエラー種別: upstream_timeout, circuit_open など）
 class ApiError extends Error {
-  constructor(status, message) {
+  constructor(status, message, details = {}) {
     super(message);
     this.status = status;
     this.name = 'ApiError';
+    this.code = details.code || null;
+    this.retryAfter = details.retryAfter ?? null;
+    // 検証エラーの場合の失敗したパスの一覧（[{ path, message }]）
+    this.details = details.details || null;
+    // Workerのログと照合するためのリクエストID（X-Request-Id）
+    this.requestId = details.requestId || null;
+  }
+}
+
+function bytesToBase64Url(bytes) {
+  let binary = '';
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
   }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlToBytes(text) {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '=')), c => c.charCodeAt(0));
+}
+
+function encodeJsonSegment(value) {
+  return bytesToBase64Url(new TextEncoder().encode(JSON.stringify(value)));
+}
+
+// DPoPの端末鍵の読み込み（初回は秘密鍵を取り出せない鍵ペアを生成してIndexedDBに保存）
+// IndexedDB・ECDSAに対応していない環境ではnull（Bearerトークンとして使用）
+function loadDpopKey() {
+  if (!dpopKeyPromise) {
+    dpopKeyPromise = openDpopKey().catch(error => {
+      console.error('DPoP key unavailable:', error);
+      return null;
+    });
+  }
+  return dpopKeyPromise;
+}
+
+async function openDpopKey() {
+  if (typeof indexedDB === 'undefined' || !globalThis.crypto?.subtle) {
+    return null;
+  }
+
+  let keyPair = await readStoredKey(DPOP_KEY_ID);
+  if (!keyPair) {
+    keyPair = await crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, false, ['sign', 'verify']);
+    await writeStoredKey(DPOP_KEY_ID, keyPair);
+  }
+
+  // 公開鍵は非抽出指定でもエクスポートできる
+  const { kty, crv, x, y } = await crypto.subtle.exportKey('jwk', keyPair.publicKey);
+  return { privateKey: keyPair.privateKey, publicJwk: { kty, crv, x, y } };
+}
+
+// 端末鍵の削除（ユーザーデータのクリア時、以降のトークンは新しい鍵に束縛）
+async function deleteDpopKey() {
+  dpopKeyPromise = null;
+  if (typeof indexedDB === 'undefined') {
+    return;
+  }
+  await writeStoredKey(DPOP_KEY_ID, null);
+}
+
+// リクエスト署名鍵の保存（発行された鍵は取り出せないCryptoKeyにしてIndexedDBに保存し、生の鍵は残さない）
+// signingKey が null の場合は削除。IndexedDBが使えない環境ではこのページの間だけ保持する
+function storeSigningKey(signingKey) {
+  const saving = saveSigningKey(signingKey).catch(error => {
+    console.error('Failed to store signing key:', error);
+    return null;
+  });
+  pendingSigningKey = saving;
+  saving.then(() => {
+    if (pendingSigningKey === saving) {
+      pendingSigningKey = null;
+    }
+  });
+}
+
+async function saveSigningKey(signingKey) {
+  // 以前のバージョンがLocalStorageに保存した生の鍵は消す
+  localStorage.removeItem('anonymousSigningKey');
+
+  if (!signingKey) {
+    signingKeyCache = null;
+    localStorage.removeItem('anonymousSigningKeyId');
+    if (typeof indexedDB !== 'undefined') {
+      await writeStoredKey(SIGNING_KEY_ID, null);
+    }
+    return null;
+  }
+
+  const key = await crypto.subtle.importKey(
+    'raw',
+    base64UrlToBytes(signingKey),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const id = bytesToBase64Url(crypto.getRandomValues(new Uint8Array(8)));
+  if (typeof indexedDB !== 'undefined') {
+    await writeStoredKey(SIGNING_KEY_ID, key);
+  }
+  // 他のタブは id の変化で保存し直された鍵を読み直す
+  localStorage.setItem('anonymousSigningKeyId', id);
+  signingKeyCache = { id, key };
+  return key;
+}
+
+// リクエスト署名鍵の読み込み（署名が無効な場合はnull）
+async function loadSigningKey() {
+  if (pendingSigningKey) {
+    await pendingSigningKey;
+  }
+
+  const id = localStorage.getItem('anonymousSigningKeyId');
+  if (!id) {
+    // 以前のバージョンがLocalStorageに保存した鍵はIndexedDBへ移す
+    const legacyKey = localStorage.getItem('anonymousSigningKey');
+    if (legacyKey) {
+      storeSigningKey(legacyKey);
+      return await pendingSigningKey;
+    }
+    return null;
+  }
+  if (signingKeyCache && signingKeyCache.id === id) {
+    return signingKeyCache.key;
+  }
+  if (typeof indexedDB === 'undefined') {
+    return null;
+  }
+
+  const key = await readStoredKey(SIGNING_KEY_ID);
+  signingKeyCache = key ? { id, key } : null;
+  return key || null;
+}
+
+// ユーザーデータのクリア時の署名鍵の削除
+async function deleteSigningKey() {
+  await saveSigningKey(null);
+}
+
+// IndexedDBに保存した鍵の読み書き（value が null の場合は削除）
+async function readStoredKey(id) {
+  const db = await openKeyDatabase();
+  try {
+    return await waitForIdbRequest(db.transaction(KEY_STORE_NAME).objectStore(KEY_STORE_NAME).get(id));
+  } finally {
+    db.close();
+  }
+}
+
+async function writeStoredKey(id, value) {
+  const db = await openKeyDatabase();
+  try {
+    const store = db.transaction(KEY_STORE_NAME, 'readwrite').objectStore(KEY_STORE_NAME);
+    await waitForIdbRequest(value === null ? store.delete(id) : store.put(value, id));
+  } finally {
+    db.close();
+  }
+}
+
+function openKeyDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(KEY_DB_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(KEY_STORE_NAME);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function waitForIdbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// ポーリング間隔の待機（signal の中断で早めに戻る）
+function waitForDelay(ms, signal) {
+  return new Promise(resolve => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      resolve();
+    }, { once: true });
+  });
+}
+
+// 一括リクエストの要素（ボディはJSONとして解析し、ヘッダーはWorkerが要素毎に扱う Cache-Control のみ送る）
+function toBatchItem(endpoint, options) {
+  const cacheControl = new Headers(options.headers || {}).get('Cache-Control');
+  return {
+    path: endpoint,
+    method: options.method || 'POST',
+    body: typeof options.body === 'string' ? JSON.parse(options.body) : options.body,
+    ...(cacheControl ? { headers: { 'Cache-Control': cacheControl } } : {}),
+  };
+}
+
+// エラーレスポンスからApiErrorを生成
+async function createResponseError(response) {
+  const errorData = await response.json().catch(() => ({}));
+  return new ApiError(response.status, errorData.error || 'API request failed', {
+    ...errorData,
+    requestId: response.headers.get('X-Request-Id'),
+  });
 }
 
 // React Hook for API calls（匿名トークン対応）
-export function useApi() {
+export function useApi(options = {}) {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [tokenInfo, setTokenInfo] = useState(null);
+  const [quota, setQuota] = useState(quotaState);
 
   // APIクライアントの初期化
   const apiClient = new ApiClient(
-    process.env.REACT_APP_API_BASE_URL || 'https://your-worker.your-subdomain.workers.dev'
+    process.env.REACT_APP_API_BASE_URL || 'https://your-worker.your-subdomain.workers.dev',
+    options
   );
 
   // トークン情報の取得
@@ -163,6 +980,9 @@ export function useApi() {
     return () => window.removeEventListener('storage', handleStorageChange);
   }, []);
 
+  // クォータ状態の監視
+  useEffect(() => apiClient.subscribeQuota(setQuota), []);
+
   const callApi = async (apiFunction, ...args) => {
     setLoading(true);
     setError(null);
@@ -184,14 +1004,59 @@ export function useApi() {
     loading,
     error,
     tokenInfo,
+    quota,
     callApi,
     apiClient,
   };
 }
 
+// ストリーミングAPI用フック（受信したイベントを順次蓄積）
+export function useStream() {
+  const { apiClient } = useApi();
+  const [events, setEvents] = useState([]);
+  const [streaming, setStreaming] = useState(false);
+  const [error, setError] = useState(null);
+  const abortControllerRef = useRef(null);
+
+  const stop = () => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+      abortControllerRef.current = null;
+    }
+  };
+
+  const start = async (endpoint, body) => {
+    stop();
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
+    setEvents([]);
+    setError(null);
+    setStreaming(true);
+
+    try {
+      for await (const event of apiClient.stream(endpoint, { body, signal: controller.signal })) {
+        setEvents(prev => [...prev, event]);
+      }
+    } catch (err) {
+      setError(err);
+    } finally {
+      if (abortControllerRef.current === controller) {
+        abortControllerRef.current = null;
+      }
+      setStreaming(false);
+    }
+  };
+
+  // アンマウント時にストリームを中断
+  useEffect(() => stop, []);
+
+  return { events, streaming, error, start, stop };
+}
+
 // 使用例：データ取得コンポーネント
 export function DataFetcher() {
-  const { loading, error, tokenInfo, callApi, apiClient } = useApi();
+  const { loading, error, tokenInfo, quota, callApi, apiClient } = useApi();
   const [data, setData] = useState(null);
 
   const fetchData = async () => {
@@ -211,7 +1076,7 @@ export function DataFetcher() {
   }, []);
 
   if (loading) return <div>Loading...</div>;
-  if (error) return <div>Error: {error.message}</div>;
+  if (error) return <div>Error: {error.message}{error.requestId && ` (Request ID: ${error.requestId})`}</div>;
 
   return (
     <div>
@@ -219,7 +1084,8 @@ export function DataFetcher() {
       {tokenInfo && (
         <div className="token-info">
           <p>User ID: {tokenInfo.userId}</p>
-          <p>Requests Left: {tokenInfo.rateLimit.maxRequests - (tokenInfo.requestsUsed || 0)}</p>
+          <p>Requests Left: {quota ? `${quota.remaining} / ${quota.limit}` : tokenInfo.rateLimit.maxRequests}</p>
+          {quota && <p>Quota Resets: {new Date(quota.resetAt).toLocaleTimeString()}</p>}
           <p>Token Expires: {new Date(tokenInfo.expiresAt).toLocaleDateString()}</p>
         </div>
       )}
@@ -241,7 +1107,7 @@ export function TokenStatus() {
   const refreshToken = async () => {
     setRefreshing(true);
     try {
-      await apiClient.generateNewToken();
+      await apiClient.refreshAccessToken();
       window.location.reload(); // 簡単な更新方法
     } catch (error) {
       console.error('Token refresh failed:', error);
@@ -257,6 +1123,8 @@ export function TokenStatus() {
       <h3>Anonymous User Status</h3>
       <p><strong>User ID:</strong> {tokenInfo.userId}</p>
       <p><strong>Token Expires:</strong> {new Date(tokenInfo.expiresAt).toLocaleString()}</p>
+      <p><strong>Plan:</strong> {tokenInfo.rateLimit.plan}</p>
+      <p><strong>Account:</strong> {tokenInfo.tokenType === 'user' ? 'Linked' : 'Anonymous'}</p>
       <p><strong>Rate Limit:</strong> {tokenInfo.rateLimit.maxRequests} requests per hour</p>
       <button onClick={refreshToken} disabled={refreshing}>
         {refreshing ? 'Refreshing...' : 'Refresh Token'}
@@ -309,7 +1177,7 @@ export function useExternalData(query) {
 
 // 匿名ユーザー管理（認証システムは不要）
 export function useAnonymousUser() {
-  const { tokenInfo, apiClient } = useApi();
+  const { tokenInfo, apiClient, callApi } = useApi();
   const [isInitialized, setIsInitialized] = useState(false);
 
   useEffect(() => {
@@ -329,14 +1197,22 @@ export function useAnonymousUser() {
   const clearUserData = () => {
     localStorage.removeItem('anonymousToken');
     localStorage.removeItem('anonymousTokenData');
-    window.location.reload();
+    localStorage.removeItem('anonymousRefreshToken');
+    Promise.all([deleteDpopKey(), deleteSigningKey()])
+      .catch(error => console.error('Failed to delete keys:', error))
+      .finally(() => window.location.reload());
   };
 
+  // サインイン後にIDプロバイダーから受け取ったIDトークンでアカウントに連携
+  const linkAccount = idToken => callApi(() => apiClient.linkAccount(idToken));
+
   return { 
     tokenInfo, 
     isInitialized, 
     clearUserData,
-    userId: tokenInfo?.userId
+    linkAccount,
+    userId: tokenInfo?.userId,
+    isAnonymous: tokenInfo?.tokenType !== 'user'
   };
 }
 